@@ -4,18 +4,43 @@ const logger = require('morgan');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const checkDatabaseConnection = require('./config/loadAirports');
+const airportService = require('./services/airportService');
+const datasetVersion = require('./services/datasetVersion');
 const indexRouter = require('./routes/index');
+const healthRouter = require('./routes/health');
+const adminRouter = require('./routes/admin');
+const { apiKeyAuth } = require('./middleware/apiKeyAuth');
+const { requestMetrics } = require('./middleware/requestMetrics');
+const { conditionalGet } = require('./middleware/conditionalGet');
 
 const app = express();
 
+// Derrière un reverse proxy, req.ip (limites des requêtes sans clé) vient de X-Forwarded-For
+// TRUST_PROXY: nombre de proxys, true, ou liste d'adresses (voir la documentation Express)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy === 'true' ? true : trustProxy);
+  }
+}
+
 // Vérifier la connexion à la base de données au démarrage
 checkDatabaseConnection().catch(err => {
   console.error('Erreur lors de la vérification de la base de données:', err);
 });
 
+// Version des données (cache, ETag) et index des aéroports en mémoire (AIRPORT_INDEX=memory),
+// mis à jour après chaque import
+datasetVersion.start();
+airportService.startIndex();
+
 // Middleware essentiels uniquement
+// Les clés passées en paramètre apiKey ne sont pas écrites dans les logs
+logger.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]apiKey=)[^&]*/g, '$1***'));
 app.use(logger('dev'));
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // POST /icao/batch accepte jusqu'à 10000 points
 
 // Swagger Configuration
 const swaggerSpecs = swaggerJsdoc({
@@ -26,13 +51,25 @@ const swaggerSpecs = swaggerJsdoc({
       version: '1.0.0',
       description: 'API pour obtenir les codes ICAO à partir d\'une localisation'
     },
-    servers: [{ url: 'https://airports.arisalexia.fr', description: 'Serveur de développement' }]
+    servers: [{ url: 'https://airports.arisalexia.fr', description: 'Serveur de développement' }],
+    components: {
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' }
+      }
+    },
+    // Clé facultative sauf avec API_KEY_REQUIRED=true
+    security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }, {}]
   },
   apis: ['./routes/*.js']
 });
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
-app.use('/', indexRouter);
+// Supervision (sondes Docker, Prometheus) : ni clé d'API, ni limitation, ni métriques
+app.use('/', healthRouter);
+app.use(requestMetrics);
+app.use('/admin', apiKeyAuth, adminRouter);
+app.use('/', apiKeyAuth, conditionalGet, indexRouter);
 
 // Gestionnaires d'erreurs
 app.use((req, res) => res.status(404).json({ success: false, message: 'Route non trouvée' }));
@@ -0,0 +1,79 @@
+/**
+ * Stores du cache des recherches
+ * Un store expose get(key) (valeur ou undefined) et set(key, value, ttl) (secondes), asynchrones ;
+ * les valeurs sont des chaînes JSON. Les clés sont préfixées par la version des données : un import
+ * rend les anciennes entrées inaccessibles, sans purge explicite.
+ * - memory : cache du processus, au plus CACHE_MAX_ENTRIES entrées (les moins récemment lues sont évincées)
+ * - none : pas de cache
+ * Un autre backend (Redis...) se branche avec setCacheStore().
+ */
+const CACHE_STORES = ['memory', 'none'];
+
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 10000;
+
+class MemoryStore {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    // Ordre d'insertion de la Map : la première entrée est la moins récemment lue
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+class NoopStore {
+  async get() {
+    return undefined;
+  }
+
+  async set() {}
+}
+
+let store = null;
+
+/**
+ * Store utilisé par le cache des recherches (CACHE_STORE, memory par défaut)
+ * @returns {{get: Function, set: Function}}
+ */
+function getCacheStore() {
+  if (!store) {
+    const name = process.env.CACHE_STORE || 'memory';
+    if (!CACHE_STORES.includes(name)) {
+      throw new Error(`CACHE_STORE invalide: ${name} (valeurs: ${CACHE_STORES.join(', ')})`);
+    }
+    store = name === 'none' ? new NoopStore() : new MemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Remplace le store du cache (ex: store Redis partagé entre réplicas)
+ * @param {{get: Function, set: Function}} customStore - Objet exposant get(key) et set(key, value, ttl)
+ */
+function setCacheStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  CACHE_STORES,
+  MemoryStore,
+  NoopStore,
+  getCacheStore,
+  setCacheStore
+};
@@ -14,9 +14,9 @@ const pool = new Pool({
 });
 
 // Gestionnaire d'erreurs du pool
+// Le client en erreur est retiré du pool : le processus continue et GET /ready signale une base injoignable
 pool.on('error', (err, client) => {
-  console.error('Erreur inattendue sur le client PostgreSQL inactif', err);
-  process.exit(-1);
+  console.error('Erreur inattendue sur le client PostgreSQL inactif', err.message);
 });
 
 // Test de la connexion
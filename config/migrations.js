@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fichiers de migration (dossier migrations/), partagés par scripts/migrate.js et GET /ready
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Liste les fichiers de migration, triés par numéro de version
+ * @returns {Array<{version: number, name: string, file: string, checksum: string}>}
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1]),
+      name: match[2],
+      file: path.join(MIGRATIONS_DIR, file),
+      checksum: crypto.createHash('sha256').update(fs.readFileSync(path.join(MIGRATIONS_DIR, file))).digest('hex')
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Deux migrations portent le numéro ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Compare les migrations appliquées aux fichiers
+ * @param {Array<Object>} migrations - Résultat de loadMigrations
+ * @param {Array<Object>} applied - Lignes de schema_migrations
+ * @returns {{modified: Array<Object>, missing: Array<Object>, pending: Array<Object>}}
+ */
+function compareMigrations(migrations, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const versions = new Set(migrations.map(m => m.version));
+  return {
+    modified: migrations.filter(m => appliedByVersion.has(m.version) && appliedByVersion.get(m.version).checksum !== m.checksum),
+    missing: applied.filter(row => !versions.has(row.version)),
+    pending: migrations.filter(m => !appliedByVersion.has(m.version))
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  compareMigrations
+};
@@ -0,0 +1,97 @@
+const { query } = require('./database');
+
+/**
+ * Stores de compteurs de la limitation de débit
+ * Un store expose increment(key, resetAt) : incrémente le compteur de la fenêtre en cours (créée
+ * avec l'échéance resetAt si absente ou expirée) et retourne { count, resetAt }.
+ * - memory : compteurs du processus, pour une instance unique
+ * - postgres : table rate_limit_counters, partagée entre plusieurs réplicas
+ * Un autre backend (Redis...) se branche avec setRateLimitStore().
+ */
+const RATE_LIMIT_STORES = ['memory', 'postgres'];
+
+// Intervalle de purge des compteurs expirés (ms)
+const PURGE_INTERVAL = 10 * 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.lastPurge = Date.now();
+  }
+
+  async increment(key, resetAt) {
+    const now = Date.now();
+    if (now - this.lastPurge > PURGE_INTERVAL) {
+      this.counters.forEach((counter, k) => {
+        if (counter.resetAt.getTime() <= now) this.counters.delete(k);
+      });
+      this.lastPurge = now;
+    }
+
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt.getTime() <= now) {
+      counter = { count: 0, resetAt };
+      this.counters.set(key, counter);
+    }
+    counter.count++;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+}
+
+class PostgresStore {
+  constructor() {
+    this.lastPurge = Date.now();
+  }
+
+  async increment(key, resetAt) {
+    // Purge sans attendre : une erreur n'empêche pas le comptage
+    if (Date.now() - this.lastPurge > PURGE_INTERVAL) {
+      this.lastPurge = Date.now();
+      query('DELETE FROM rate_limit_counters WHERE reset_at <= CURRENT_TIMESTAMP')
+        .catch(error => console.error('Purge des compteurs de débit impossible:', error.message));
+    }
+
+    const result = await query(
+      `INSERT INTO rate_limit_counters (key, count, reset_at) VALUES ($1, 1, $2)
+       ON CONFLICT (key) DO UPDATE SET
+         count = CASE WHEN rate_limit_counters.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limit_counters.count + 1 END,
+         reset_at = CASE WHEN rate_limit_counters.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at ELSE rate_limit_counters.reset_at END
+       RETURNING count, reset_at`,
+      [key, resetAt]
+    );
+    return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+  }
+}
+
+let store = null;
+
+/**
+ * Store utilisé par la limitation de débit (RATE_LIMIT_STORE, memory par défaut)
+ * @returns {{increment: Function}}
+ */
+function getRateLimitStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!RATE_LIMIT_STORES.includes(name)) {
+      throw new Error(`RATE_LIMIT_STORE invalide: ${name} (valeurs: ${RATE_LIMIT_STORES.join(', ')})`);
+    }
+    store = name === 'postgres' ? new PostgresStore() : new MemoryStore();
+  }
+  return store;
+}
+
+/**
+ * Remplace le store de la limitation de débit (ex: store Redis partagé entre réplicas)
+ * @param {{increment: Function}} customStore - Objet exposant increment(key, resetAt)
+ */
+function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  MemoryStore,
+  PostgresStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
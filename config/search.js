@@ -0,0 +1,55 @@
+const { query } = require('./database');
+
+/**
+ * Recherche textuelle floue (extensions pg_trgm + unaccent)
+ * Sans ces extensions, la recherche par nom reste en LIKE insensible à la casse.
+ */
+
+// Seuil de word_similarity en dessous duquel un terme ne correspond pas (tolère les fautes de frappe)
+const FUZZY_THRESHOLD = 0.25;
+
+// Normalisation sans accents ni casse, identique dans les index et dans les requêtes
+const normalizeSQL = (expr) => `airports_unaccent(lower(${expr}))`;
+
+// Extensions, fonction IMMUTABLE (unaccent seul ne peut pas être indexé) et index trigrammes
+const TEXT_SEARCH_SETUP_SQL = `
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+  CREATE EXTENSION IF NOT EXISTS unaccent;
+
+  CREATE OR REPLACE FUNCTION airports_unaccent(text) RETURNS text AS
+    $$ SELECT public.unaccent('public.unaccent', $1) $$
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+  CREATE INDEX IF NOT EXISTS idx_airports_name_trgm ON airports USING gin (${normalizeSQL('name')} gin_trgm_ops);
+  CREATE INDEX IF NOT EXISTS idx_airports_city_trgm ON airports USING gin (${normalizeSQL('city')} gin_trgm_ops);
+  CREATE INDEX IF NOT EXISTS idx_airports_keywords_trgm ON airports USING gin (${normalizeSQL('keywords')} gin_trgm_ops);
+
+  -- Index de préfixe (LIKE 'abc%') pour l'autocomplétion
+  CREATE INDEX IF NOT EXISTS idx_airports_name_prefix ON airports (${normalizeSQL('name')} text_pattern_ops);
+  CREATE INDEX IF NOT EXISTS idx_airports_city_prefix ON airports (${normalizeSQL('city')} text_pattern_ops);
+`;
+
+let fuzzySearchAvailable = null;
+
+/**
+ * Indique si la recherche floue est disponible (extensions et fonction installées par la migration)
+ * Le résultat est mis en cache pour la durée du processus.
+ * @returns {Promise<boolean>}
+ */
+async function hasFuzzySearch() {
+  if (fuzzySearchAvailable === null) {
+    const result = await query(`
+      SELECT COUNT(*) = 2 AS extensions, to_regprocedure('airports_unaccent(text)') IS NOT NULL AS func
+      FROM pg_extension WHERE extname IN ('pg_trgm', 'unaccent')
+    `);
+    fuzzySearchAvailable = result.rows[0].extensions && result.rows[0].func;
+  }
+  return fuzzySearchAvailable;
+}
+
+module.exports = {
+  FUZZY_THRESHOLD,
+  TEXT_SEARCH_SETUP_SQL,
+  normalizeSQL,
+  hasFuzzySearch
+};
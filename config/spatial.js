@@ -0,0 +1,99 @@
+const { query } = require('./database');
+
+/**
+ * Backends spatiaux supportés, par ordre de préférence
+ * - postgis : index GiST sur geography, tri KNN <-> et ST_DWithin
+ * - earthdistance : index GiST sur ll_to_earth (extension cube), tri KNN <-> et earth_box
+ * - none : PostgreSQL seul, boîte lat/lon + distance Haversine
+ */
+const SPATIAL_BACKENDS = ['postgis', 'earthdistance', 'none'];
+
+// Expression du point d'un aéroport, identique dans l'index et dans les requêtes
+const POINT_SQL = {
+  postgis: (lat, lon) => `(ST_SetSRID(ST_MakePoint(${lon}, ${lat}), 4326)::geography)`,
+  earthdistance: (lat, lon) => `ll_to_earth(${lat}, ${lon})`
+};
+
+const AIRPORT_POINT_SQL = {
+  postgis: POINT_SQL.postgis('latitude::float8', 'longitude::float8'),
+  earthdistance: POINT_SQL.earthdistance('latitude::float8', 'longitude::float8')
+};
+
+// Extensions à installer et index à créer par backend
+const SPATIAL_SETUP_SQL = {
+  postgis: `
+    CREATE EXTENSION IF NOT EXISTS postgis;
+    CREATE INDEX IF NOT EXISTS idx_airports_geog ON airports USING gist (${AIRPORT_POINT_SQL.postgis});
+  `,
+  earthdistance: `
+    CREATE EXTENSION IF NOT EXISTS cube;
+    CREATE EXTENSION IF NOT EXISTS earthdistance;
+    CREATE INDEX IF NOT EXISTS idx_airports_earth ON airports USING gist (${AIRPORT_POINT_SQL.earthdistance});
+  `
+};
+
+let detectedBackend = null;
+
+/**
+ * Détermine le backend spatial utilisé par les requêtes
+ * SPATIAL_BACKEND force un backend, sinon le premier dont l'extension est installée est retenu.
+ * Le résultat est mis en cache pour la durée du processus.
+ * @returns {Promise<string>} postgis, earthdistance ou none
+ */
+async function getSpatialBackend() {
+  if (detectedBackend) {
+    return detectedBackend;
+  }
+
+  const forced = process.env.SPATIAL_BACKEND;
+  if (forced && forced !== 'auto') {
+    if (!SPATIAL_BACKENDS.includes(forced)) {
+      throw new Error(`SPATIAL_BACKEND invalide: ${forced} (valeurs: auto, ${SPATIAL_BACKENDS.join(', ')})`);
+    }
+    detectedBackend = forced;
+    return detectedBackend;
+  }
+
+  const result = await query(
+    `SELECT extname FROM pg_extension WHERE extname IN ('postgis', 'earthdistance')`
+  );
+  const installed = result.rows.map(r => r.extname);
+  detectedBackend = SPATIAL_BACKENDS.find(b => b === 'none' || installed.includes(b));
+  return detectedBackend;
+}
+
+/**
+ * Expression SQL de tri KNN (utilise l'index GiST) entre un aéroport et un point
+ * @param {string} backend - postgis ou earthdistance
+ * @param {string} latRef - Expression SQL de la latitude du point
+ * @param {string} lonRef - Expression SQL de la longitude du point
+ * @returns {string} Expression SQL à placer dans ORDER BY
+ */
+function buildKnnOrderSQL(backend, latRef, lonRef) {
+  return `${AIRPORT_POINT_SQL[backend]} <-> ${POINT_SQL[backend](latRef, lonRef)}`;
+}
+
+// Marge appliquée au rayon de présélection : les rayons terrestres de PostGIS (6371008.8 m)
+// et d'earthdistance (6378168 m) diffèrent de celui de la formule Haversine (6371 km)
+const RADIUS_MARGIN = 1.01;
+
+/**
+ * Condition SQL indexée « aéroport à moins de radiusRef km du point »
+ * C'est une présélection élargie : la distance Haversine exacte reste à vérifier.
+ * @returns {string} Condition SQL
+ */
+function buildRadiusFilterSQL(backend, latRef, lonRef, radiusRef) {
+  const radiusMeters = `(${radiusRef})::float8 * ${1000 * RADIUS_MARGIN}`;
+  if (backend === 'postgis') {
+    return `ST_DWithin(${AIRPORT_POINT_SQL.postgis}, ${POINT_SQL.postgis(latRef, lonRef)}, ${radiusMeters}, false)`;
+  }
+  return `earth_box(${POINT_SQL.earthdistance(latRef, lonRef)}, ${radiusMeters}) @> ${AIRPORT_POINT_SQL.earthdistance}`;
+}
+
+module.exports = {
+  SPATIAL_BACKENDS,
+  SPATIAL_SETUP_SQL,
+  getSpatialBackend,
+  buildKnnOrderSQL,
+  buildRadiusFilterSQL
+};
@@ -4,27 +4,6 @@ set -e
 echo "🐳 Initialisation de l'application..."
 echo ""
 
-# Fonction pour attendre PostgreSQL
-wait_for_postgres() {
-  echo "⏳ Attente de PostgreSQL..."
-  local max_attempts=30
-  local attempt=0
-  
-  until nc -z postgres 5432; do
-    attempt=$((attempt + 1))
-    if [ $attempt -ge $max_attempts ]; then
-      echo "❌ Impossible de se connecter à PostgreSQL après $max_attempts tentatives"
-      exit 1
-    fi
-    echo "   Tentative $attempt/$max_attempts..."
-    sleep 2
-  done
-  
-  # Attendre que PostgreSQL accepte les connexions
-  sleep 2
-  echo "✅ PostgreSQL est prêt!"
-}
-
 # Fonction pour vérifier la connexion à la base
 check_database_connection() {
   echo ""
@@ -39,21 +18,13 @@ check_database_connection() {
   fi
 }
 
-# Fonction pour créer la table
+# Fonction pour appliquer les migrations en attente (à chaque démarrage)
 migrate_database() {
   echo ""
   echo "📋 Migration de la base de données..."
   
-  # Vérifier si la table existe
-  TABLE_EXISTS=$(PGPASSWORD=$DB_PASSWORD psql -h postgres -U $DB_USER -d $DB_NAME -tAc "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'airports');" 2>/dev/null || echo "f")
-  
-  if [ "$TABLE_EXISTS" = "f" ]; then
-    echo "   Création de la table airports..."
-    npm run db:migrate
-    echo "✅ Table airports créée avec succès"
-  else
-    echo "✅ Table airports déjà existante"
-  fi
+  npm run db:migrate
+  echo "✅ Schéma à jour"
 }
 
 # Fonction pour importer les données
@@ -84,22 +55,20 @@ import_data() {
   fi
 }
 
-# ÉTAPE 1 : Attendre PostgreSQL
-wait_for_postgres
-
-# ÉTAPE 2 : Vérifier la connexion
+# ÉTAPE 1 : Vérifier la connexion
+# docker-compose ne démarre l'application qu'une fois PostgreSQL sain (pg_isready)
 if ! check_database_connection; then
   echo "❌ Échec de la connexion - abandon"
   exit 1
 fi
 
-# ÉTAPE 3 : Migration (OBLIGATOIRE avant démarrage)
+# ÉTAPE 2 : Migration (OBLIGATOIRE avant démarrage)
 migrate_database
 
-# ÉTAPE 4 : Import des données (si nécessaire)
+# ÉTAPE 3 : Import des données (si nécessaire)
 import_data
 
-# ÉTAPE 5 : Démarrage du serveur
+# ÉTAPE 4 : Démarrage du serveur
 echo ""
 echo "🚀 Démarrage du serveur Node.js..."
 echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
@@ -0,0 +1,147 @@
+const apiKeyService = require('../services/apiKeyService');
+const { getRateLimitStore } = require('../config/rateLimit');
+
+/**
+ * Authentification par clé d'API, limitation de débit et quota journalier
+ * La clé est lue dans l'en-tête X-API-Key ou le paramètre apiKey. Sans clé, les requêtes sont
+ * limitées par adresse IP (limites anonymes), ou refusées si API_KEY_REQUIRED=true.
+ * Débit : fenêtre fixe d'une minute ; quota : jour UTC. 0 désactive une limite, par défaut ou propre à une clé
+ * (une clé sans limite propre, NULL, suit les limites par défaut).
+ */
+
+const API_KEY_HEADER = 'X-API-Key';
+const API_KEY_PARAM = 'apiKey';
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Entier positif ou nul lu dans l'environnement
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Limites par défaut : clés sans limite propre, puis requêtes sans clé
+const DEFAULT_LIMITS = {
+  key: {
+    rateLimit: readLimit('RATE_LIMIT_PER_MINUTE', 120),
+    dailyQuota: readLimit('DAILY_QUOTA', 50000)
+  },
+  anonymous: {
+    rateLimit: readLimit('ANONYMOUS_RATE_LIMIT_PER_MINUTE', 30),
+    dailyQuota: readLimit('ANONYMOUS_DAILY_QUOTA', 1000)
+  }
+};
+
+const API_KEY_REQUIRED = process.env.API_KEY_REQUIRED === 'true';
+
+// Fin de la fenêtre d'une minute en cours et fin du jour UTC
+const windowEnd = (now) => new Date(Math.floor(now / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS + RATE_LIMIT_WINDOW_MS);
+const dayEnd = (now) => {
+  const end = new Date(now);
+  end.setUTCHours(24, 0, 0, 0);
+  return end;
+};
+
+// Secondes restantes avant une échéance (au moins 1)
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now) / 1000));
+
+/**
+ * Incrémente un compteur et positionne les en-têtes correspondants
+ * @returns {Promise<{exceeded: boolean, retryAfter: number}>}
+ */
+async function consume(res, key, limit, resetAt, now, headers) {
+  const counter = await getRateLimitStore().increment(key, resetAt);
+  const reset = secondsUntil(counter.resetAt, now);
+  res.set({
+    [headers.limit]: String(limit),
+    [headers.remaining]: String(Math.max(0, limit - counter.count)),
+    [headers.reset]: String(reset)
+  });
+  return { exceeded: counter.count > limit, retryAfter: reset };
+}
+
+// Identifie le client : clé d'API valide, adresse IP, ou erreur 401
+const identifyClient = async (req) => {
+  const key = req.get(API_KEY_HEADER) || req.query[API_KEY_PARAM];
+
+  if (key) {
+    const apiKey = await apiKeyService.authenticate(String(key));
+    if (!apiKey) {
+      return { error: 'Clé d\'API invalide ou révoquée' };
+    }
+    return {
+      apiKey,
+      id: `key:${apiKey.id}`,
+      rateLimit: apiKey.rateLimit ?? DEFAULT_LIMITS.key.rateLimit,
+      dailyQuota: apiKey.dailyQuota ?? DEFAULT_LIMITS.key.dailyQuota
+    };
+  }
+
+  if (API_KEY_REQUIRED) {
+    return { error: `Clé d'API requise (en-tête ${API_KEY_HEADER} ou paramètre ${API_KEY_PARAM})` };
+  }
+  return { id: `ip:${req.ip}`, ...DEFAULT_LIMITS.anonymous };
+};
+
+/**
+ * Middleware Express : 401 si la clé est absente (API_KEY_REQUIRED) ou invalide,
+ * 429 avec Retry-After si la limite de débit ou le quota journalier est atteint
+ * En-têtes RateLimit-Limit/Remaining/Reset (minute) et X-Quota-Limit/Remaining/Reset (jour).
+ */
+async function apiKeyAuth(req, res, next) {
+  let client;
+  try {
+    client = await identifyClient(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (client.error) {
+    return res.status(401).json({ success: false, message: client.error });
+  }
+  req.apiKey = client.apiKey || null;
+
+  try {
+    const now = Date.now();
+
+    if (client.rateLimit > 0) {
+      const rate = await consume(res, `rate:${client.id}`, client.rateLimit, windowEnd(now), now, {
+        limit: 'RateLimit-Limit', remaining: 'RateLimit-Remaining', reset: 'RateLimit-Reset'
+      });
+      res.set('RateLimit-Policy', `${client.rateLimit};w=${RATE_LIMIT_WINDOW_MS / 1000}`);
+      if (rate.exceeded) {
+        res.set('Retry-After', String(rate.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Limite de débit atteinte (${client.rateLimit} requêtes par minute)`
+        });
+      }
+    }
+
+    if (client.dailyQuota > 0) {
+      const day = new Date(now).toISOString().slice(0, 10);
+      const quota = await consume(res, `quota:${client.id}:${day}`, client.dailyQuota, dayEnd(now), now, {
+        limit: 'X-Quota-Limit', remaining: 'X-Quota-Remaining', reset: 'X-Quota-Reset'
+      });
+      if (quota.exceeded) {
+        res.set('Retry-After', String(quota.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Quota journalier atteint (${client.dailyQuota} requêtes par jour)`
+        });
+      }
+    }
+  } catch (error) {
+    // Store indisponible : la requête est servie plutôt que refusée
+    console.error('Limitation de débit indisponible:', error.message);
+  }
+
+  next();
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  API_KEY_PARAM,
+  DEFAULT_LIMITS,
+  apiKeyAuth
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const datasetVersion = require('../services/datasetVersion');
+const { API_KEY_PARAM } = require('./apiKeyAuth');
+
+/**
+ * Requêtes conditionnelles sur la version des données (ETag, Last-Modified, 304)
+ * Les réponses GET ne dépendent que de l'URL, de l'en-tête Accept et du jeu de données : l'ETag
+ * combine la version des données et une empreinte de l'URL (paramètres triés, sans apiKey) et de Accept,
+ * Last-Modified est la date du dernier import. La route est toujours exécutée : seule une réponse
+ * 2xx devient 304 quand un validateur est encore valide (If-None-Match ou If-Modified-Since, vérifiés
+ * par res.send d'Express), une URL inconnue ou des paramètres invalides gardent leur 404 ou 400.
+ * Les réponses d'erreur ne portent pas ces en-têtes.
+ */
+
+// Empreinte de la requête : chemin, paramètres triés (hors clé d'API) et format demandé
+const requestFingerprint = (req) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete(API_KEY_PARAM);
+  url.searchParams.sort();
+  return crypto.createHash('sha256')
+    .update(`${url.pathname}?${url.searchParams}\n${req.get('Accept') || ''}`)
+    .digest('hex')
+    .slice(0, 16);
+};
+
+function conditionalGet(req, res, next) {
+  const version = datasetVersion.current;
+  if (!version || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    return next();
+  }
+
+  res.set('ETag', `W/"${version.id}-${requestFingerprint(req)}"`);
+  res.set('Last-Modified', version.importedAt.toUTCString());
+  res.vary('Accept');
+
+  // Validateurs retirés des réponses d'erreur, au moment de l'envoi des en-têtes
+  const writeHead = res.writeHead;
+  res.writeHead = function (statusCode, ...args) {
+    if (statusCode >= 300 && statusCode !== 304) {
+      res.removeHeader('ETag');
+      res.removeHeader('Last-Modified');
+    }
+    return writeHead.call(this, statusCode, ...args);
+  };
+
+  next();
+}
+
+module.exports = {
+  conditionalGet
+};
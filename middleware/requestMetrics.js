@@ -0,0 +1,50 @@
+const metricsService = require('../services/metricsService');
+const monitoringService = require('../services/monitoringService');
+
+/**
+ * Enregistrement des métriques de chaque requête : route, statut, durée, aéroport retourné et clé d'API
+ * La métrique est prise à la fin de la réponse et écrite en différé par metricsService
+ * (GET /admin/stats) ; elle alimente aussi les compteurs Prometheus de monitoringService (GET /metrics).
+ * Les routes peuvent indiquer l'aéroport retourné dans res.locals.icao ; à défaut, il est lu
+ * dans la réponse JSON (data.icao, ou premier élément de data) ou dans le paramètre :code.
+ */
+
+// Aéroport principal d'une réponse JSON { data }
+const icaoFromBody = (body) => {
+  const data = body && body.data;
+  const airport = Array.isArray(data) ? data[0] : data;
+  return airport && typeof airport.icao === 'string' ? airport.icao : undefined;
+};
+
+function requestMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  const requestedAt = new Date();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.locals.icao === undefined && res.statusCode < 400) {
+      res.locals.icao = (req.params && req.params.code) || icaoFromBody(body);
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const metric = {
+      requestedAt,
+      // Motif de la route (ex GET /icao/:code/runways), null si aucune route ne correspond
+      route: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : null,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      icao: res.locals.icao ? String(res.locals.icao).toUpperCase().slice(0, 10) : null,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    };
+    metricsService.record(metric);
+    monitoringService.observeRequest(metric);
+  });
+
+  next();
+}
+
+module.exports = {
+  requestMetrics
+};
@@ -0,0 +1,45 @@
+/**
+ * Table airports : code ICAO, nom, position, ville, pays, altitude et type
+ */
+module.exports = {
+  up: `
+CREATE TABLE IF NOT EXISTS airports (
+  id SERIAL PRIMARY KEY,
+  icao VARCHAR(10) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  city VARCHAR(100),
+  country VARCHAR(100),
+  elevation INTEGER,
+  type VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index BTREE pour les recherches par plage de coordonnées (requis pour WHERE latitude BETWEEN)
+CREATE INDEX IF NOT EXISTS idx_airports_latitude ON airports (latitude);
+CREATE INDEX IF NOT EXISTS idx_airports_longitude ON airports (longitude);
+
+-- Index composite pour les recherches géographiques combinées (optimisation des requêtes de distance)
+CREATE INDEX IF NOT EXISTS idx_airports_lat_lon ON airports (latitude, longitude);
+
+-- Index unique pour les recherches par code ICAO (LOWER pour case-insensitive)
+CREATE INDEX IF NOT EXISTS idx_airports_icao_lower ON airports (LOWER(icao));
+
+-- Index pour les recherches par nom (LOWER pour case-insensitive)
+CREATE INDEX IF NOT EXISTS idx_airports_name_lower ON airports (LOWER(name));
+
+-- Index pour les recherches par ville (LOWER pour case-insensitive)
+CREATE INDEX IF NOT EXISTS idx_airports_city_lower ON airports (LOWER(city));
+
+-- Index pour les recherches par pays
+CREATE INDEX IF NOT EXISTS idx_airports_country ON airports (country);
+
+-- Index pour les recherches par type d'aéroport
+CREATE INDEX IF NOT EXISTS idx_airports_type ON airports (type);
+`,
+  down: `
+DROP TABLE IF EXISTS airports CASCADE;
+`
+};
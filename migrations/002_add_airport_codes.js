@@ -0,0 +1,31 @@
+/**
+ * Identifiants OurAirports séparés : ident, codes ICAO, IATA, GPS et local
+ */
+module.exports = {
+  up: `
+-- Identifiant OurAirports (clé de liaison des pistes, fréquences et balises)
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS ident VARCHAR(10);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_airports_ident ON airports (ident);
+
+-- Identifiants séparés (icao reste le code de recherche principal : icao_code, sinon ident, sinon gps_code)
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS icao_code VARCHAR(10);
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS iata_code VARCHAR(10);
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS gps_code VARCHAR(10);
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS local_code VARCHAR(10);
+
+-- Index pour les recherches par identifiant (LOWER pour case-insensitive)
+CREATE INDEX IF NOT EXISTS idx_airports_ident_lower ON airports (LOWER(ident));
+CREATE INDEX IF NOT EXISTS idx_airports_icao_code_lower ON airports (LOWER(icao_code));
+CREATE INDEX IF NOT EXISTS idx_airports_iata_code_lower ON airports (LOWER(iata_code));
+CREATE INDEX IF NOT EXISTS idx_airports_gps_code_lower ON airports (LOWER(gps_code));
+CREATE INDEX IF NOT EXISTS idx_airports_local_code_lower ON airports (LOWER(local_code));
+`,
+  down: `
+ALTER TABLE airports
+  DROP COLUMN IF EXISTS ident,
+  DROP COLUMN IF EXISTS icao_code,
+  DROP COLUMN IF EXISTS iata_code,
+  DROP COLUMN IF EXISTS gps_code,
+  DROP COLUMN IF EXISTS local_code;
+`
+};
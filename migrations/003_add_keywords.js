@@ -0,0 +1,12 @@
+/**
+ * Mots-clés OurAirports pour la recherche par nom
+ */
+module.exports = {
+  up: `
+-- Mots-clés OurAirports (anciens noms, noms alternatifs), utilisés par la recherche par nom
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS keywords TEXT;
+`,
+  down: `
+ALTER TABLE airports DROP COLUMN IF EXISTS keywords;
+`
+};
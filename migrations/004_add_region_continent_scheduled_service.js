@@ -0,0 +1,21 @@
+/**
+ * Région ISO, continent et desserte commerciale régulière
+ */
+module.exports = {
+  up: `
+-- Région ISO (ex FR-IDF), continent et desserte commerciale régulière
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS region VARCHAR(10);
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS continent VARCHAR(2);
+ALTER TABLE airports ADD COLUMN IF NOT EXISTS scheduled_service BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_airports_region ON airports (region);
+CREATE INDEX IF NOT EXISTS idx_airports_continent ON airports (continent);
+CREATE INDEX IF NOT EXISTS idx_airports_scheduled_service ON airports (scheduled_service) WHERE scheduled_service;
+`,
+  down: `
+ALTER TABLE airports
+  DROP COLUMN IF EXISTS region,
+  DROP COLUMN IF EXISTS continent,
+  DROP COLUMN IF EXISTS scheduled_service;
+`
+};
@@ -0,0 +1,14 @@
+/**
+ * Index de préfixe sur les codes pour l'autocomplétion
+ */
+module.exports = {
+  up: `
+-- Index de préfixe (LIKE 'abc%') sur les codes pour l'autocomplétion
+CREATE INDEX IF NOT EXISTS idx_airports_icao_prefix ON airports (LOWER(icao) text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_airports_iata_prefix ON airports (LOWER(iata_code) text_pattern_ops);
+`,
+  down: `
+DROP INDEX IF EXISTS idx_airports_icao_prefix;
+DROP INDEX IF EXISTS idx_airports_iata_prefix;
+`
+};
@@ -0,0 +1,12 @@
+/**
+ * Index type + position pour les tuiles de carte
+ */
+module.exports = {
+  up: `
+-- Index type + position pour les tuiles de carte (petits zooms limités aux grands aéroports)
+CREATE INDEX IF NOT EXISTS idx_airports_type_lat_lon ON airports (type, latitude, longitude);
+`,
+  down: `
+DROP INDEX IF EXISTS idx_airports_type_lat_lon;
+`
+};
@@ -0,0 +1,69 @@
+/**
+ * Pistes, fréquences radio et balises de radionavigation liées aux aéroports
+ */
+module.exports = {
+  up: `
+-- Pistes (runways.csv), une ligne par piste avec ses deux extrémités (le = low end, he = high end)
+CREATE TABLE IF NOT EXISTS runways (
+  id INTEGER PRIMARY KEY,
+  airport_ident VARCHAR(10) NOT NULL REFERENCES airports (ident) ON DELETE CASCADE,
+  length_ft INTEGER,
+  width_ft INTEGER,
+  surface VARCHAR(100),
+  lighted BOOLEAN NOT NULL DEFAULT FALSE,
+  closed BOOLEAN NOT NULL DEFAULT FALSE,
+  le_ident VARCHAR(10),
+  le_latitude DECIMAL(10, 8),
+  le_longitude DECIMAL(11, 8),
+  le_elevation_ft INTEGER,
+  le_heading DECIMAL(5, 1),
+  le_displaced_threshold_ft INTEGER,
+  he_ident VARCHAR(10),
+  he_latitude DECIMAL(10, 8),
+  he_longitude DECIMAL(11, 8),
+  he_elevation_ft INTEGER,
+  he_heading DECIMAL(5, 1),
+  he_displaced_threshold_ft INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_runways_airport_ident ON runways (airport_ident);
+
+-- Fréquences radio des aéroports (airport-frequencies.csv)
+CREATE TABLE IF NOT EXISTS airport_frequencies (
+  id INTEGER PRIMARY KEY,
+  airport_ident VARCHAR(10) NOT NULL REFERENCES airports (ident) ON DELETE CASCADE,
+  type VARCHAR(50),
+  description VARCHAR(255),
+  frequency_mhz DECIMAL(8, 3)
+);
+
+CREATE INDEX IF NOT EXISTS idx_airport_frequencies_airport_ident ON airport_frequencies (airport_ident);
+
+-- Balises de radionavigation (navaids.csv), rattachées à un aéroport lorsqu'il est connu
+CREATE TABLE IF NOT EXISTS navaids (
+  id INTEGER PRIMARY KEY,
+  ident VARCHAR(10),
+  name VARCHAR(255),
+  type VARCHAR(20),
+  frequency_khz INTEGER,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  elevation_ft INTEGER,
+  country VARCHAR(100),
+  dme_frequency_khz INTEGER,
+  dme_channel VARCHAR(10),
+  magnetic_variation_deg DECIMAL(6, 3),
+  usage_type VARCHAR(20),
+  power VARCHAR(20),
+  associated_airport VARCHAR(10) REFERENCES airports (ident) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_navaids_associated_airport ON navaids (associated_airport);
+CREATE INDEX IF NOT EXISTS idx_navaids_ident ON navaids (ident);
+`,
+  down: `
+DROP TABLE IF EXISTS navaids;
+DROP TABLE IF EXISTS airport_frequencies;
+DROP TABLE IF EXISTS runways;
+`
+};
@@ -0,0 +1,24 @@
+/**
+ * Rapports d'import (changements appliqués et lignes rejetées)
+ */
+module.exports = {
+  up: `
+-- Rapports d'import : nombre d'aéroports ajoutés, modifiés et supprimés, et codes ICAO concernés
+CREATE TABLE IF NOT EXISTS import_reports (
+  id SERIAL PRIMARY KEY,
+  source TEXT NOT NULL,
+  imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  total INTEGER NOT NULL,
+  inserted INTEGER NOT NULL,
+  updated INTEGER NOT NULL,
+  removed INTEGER NOT NULL,
+  changes JSONB NOT NULL
+);
+
+-- Nombre de lignes du CSV rejetées par la validation
+ALTER TABLE import_reports ADD COLUMN IF NOT EXISTS rejected INTEGER NOT NULL DEFAULT 0;
+`,
+  down: `
+DROP TABLE IF EXISTS import_reports;
+`
+};
@@ -0,0 +1,46 @@
+/**
+ * Historique des aéroports : une révision par changement, avec sa période de validité
+ */
+module.exports = {
+  up: `
+-- valid_to NULL : révision en vigueur ; valid_from -infinity : première version connue (avant tout import suivi)
+CREATE TABLE IF NOT EXISTS airport_history (
+  id SERIAL PRIMARY KEY,
+  icao VARCHAR(10) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  city VARCHAR(100),
+  country VARCHAR(100),
+  elevation INTEGER,
+  type VARCHAR(50),
+  ident VARCHAR(10),
+  icao_code VARCHAR(10),
+  iata_code VARCHAR(10),
+  gps_code VARCHAR(10),
+  local_code VARCHAR(10),
+  keywords TEXT,
+  region VARCHAR(10),
+  continent VARCHAR(2),
+  scheduled_service BOOLEAN NOT NULL DEFAULT FALSE,
+  valid_from TIMESTAMPTZ NOT NULL,
+  valid_to TIMESTAMPTZ,
+  import_id INTEGER REFERENCES import_reports (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_airport_history_icao ON airport_history (LOWER(icao), valid_from);
+CREATE INDEX IF NOT EXISTS idx_airport_history_validity ON airport_history (valid_from, valid_to);
+CREATE INDEX IF NOT EXISTS idx_airport_history_lat_lon ON airport_history (latitude, longitude);
+
+-- Aéroports déjà importés : leur version actuelle ouvre l'historique
+INSERT INTO airport_history (icao, name, latitude, longitude, city, country, elevation, type, ident, icao_code,
+  iata_code, gps_code, local_code, keywords, region, continent, scheduled_service, valid_from)
+SELECT icao, name, latitude, longitude, city, country, elevation, type, ident, icao_code,
+  iata_code, gps_code, local_code, keywords, region, continent, scheduled_service, '-infinity'
+FROM airports
+WHERE NOT EXISTS (SELECT 1 FROM airport_history);
+`,
+  down: `
+DROP TABLE IF EXISTS airport_history;
+`
+};
@@ -0,0 +1,21 @@
+/**
+ * Altitude des aéroports en pieds, unité du fichier source (elevation_ft)
+ */
+module.exports = {
+  up: `
+-- Les altitudes déjà importées ont été arrondies au mètre : la reconversion est approchée,
+-- le prochain import rétablit les valeurs exactes du fichier source
+ALTER TABLE airports RENAME COLUMN elevation TO elevation_ft;
+UPDATE airports SET elevation_ft = ROUND(elevation_ft / 0.3048) WHERE elevation_ft IS NOT NULL;
+
+ALTER TABLE airport_history RENAME COLUMN elevation TO elevation_ft;
+UPDATE airport_history SET elevation_ft = ROUND(elevation_ft / 0.3048) WHERE elevation_ft IS NOT NULL;
+`,
+  down: `
+ALTER TABLE airports RENAME COLUMN elevation_ft TO elevation;
+UPDATE airports SET elevation = ROUND(elevation * 0.3048) WHERE elevation IS NOT NULL;
+
+ALTER TABLE airport_history RENAME COLUMN elevation_ft TO elevation;
+UPDATE airport_history SET elevation = ROUND(elevation * 0.3048) WHERE elevation IS NOT NULL;
+`
+};
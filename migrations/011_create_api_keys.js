@@ -0,0 +1,31 @@
+/**
+ * Clés d'API et compteurs de limitation de débit partagés entre instances
+ */
+module.exports = {
+  up: `
+-- Seule l'empreinte SHA-256 de la clé est conservée ; rate_limit et daily_quota NULL : valeurs par défaut, 0 : pas de limite
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  key_prefix VARCHAR(16) NOT NULL,
+  rate_limit INTEGER CHECK (rate_limit >= 0),
+  daily_quota INTEGER CHECK (daily_quota >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Compteurs du store de limitation postgres (RATE_LIMIT_STORE=postgres)
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON rate_limit_counters (reset_at);
+`,
+  down: `
+DROP TABLE IF EXISTS rate_limit_counters;
+DROP TABLE IF EXISTS api_keys;
+`
+};
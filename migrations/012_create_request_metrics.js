@@ -0,0 +1,28 @@
+/**
+ * Métriques des requêtes (statistiques d'utilisation) et clés d'administration
+ */
+module.exports = {
+  up: `
+-- Une ligne par requête : route Express (NULL si aucune route ne correspond), statut, durée,
+-- aéroport retourné et clé d'API utilisée
+CREATE TABLE IF NOT EXISTS request_metrics (
+  id BIGSERIAL PRIMARY KEY,
+  requested_at TIMESTAMPTZ NOT NULL,
+  route VARCHAR(100),
+  status SMALLINT NOT NULL,
+  duration_ms REAL NOT NULL,
+  icao VARCHAR(10),
+  api_key_id INTEGER REFERENCES api_keys (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_metrics_requested_at ON request_metrics (requested_at);
+CREATE INDEX IF NOT EXISTS idx_request_metrics_route ON request_metrics (route, requested_at);
+
+-- Seules les clés d'administration accèdent à /admin
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS admin BOOLEAN NOT NULL DEFAULT FALSE;
+`,
+  down: `
+ALTER TABLE api_keys DROP COLUMN IF EXISTS admin;
+DROP TABLE IF EXISTS request_metrics;
+`
+};
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const metricsService = require('../services/metricsService');
+
+// Nombre maximum d'aéroports et de clés dans les classements
+const MAX_STATS_TOP = 100;
+
+// Middleware d'accès : clé d'API d'administration (npm run api-keys -- create <nom> --admin)
+const requireAdmin = (req, res, next) => {
+  if (!req.apiKey) {
+    return res.status(401).json({ success: false, message: 'Clé d\'API d\'administration requise' });
+  }
+  if (!req.apiKey.admin) {
+    return res.status(403).json({ success: false, message: 'Cette clé d\'API n\'a pas accès à l\'administration' });
+  }
+  next();
+};
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /admin/stats:
+ *   get:
+ *     summary: Statistiques d'utilisation
+ *     description: Volume, taux d'erreur et latences (médiane, p95) par route, aéroports et clés les plus demandés, et série temporelle sur une fenêtre glissante. Réservé aux clés d'API d'administration. Les métriques sont écrites en différé (quelques secondes).
+ *     tags: [Admin]
+ *     security:
+ *       - ApiKeyHeader: []
+ *       - ApiKeyQuery: []
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         required: false
+ *         description: Fenêtre glissante
+ *         schema:
+ *           type: string
+ *           enum: [1h, 24h, 7d, 30d]
+ *           default: 24h
+ *         example: 24h
+ *       - in: query
+ *         name: top
+ *         required: false
+ *         description: Nombre d'aéroports et de clés les plus demandés (100 au plus)
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         example: 20
+ *     responses:
+ *       200:
+ *         description: Statistiques (latences en ms, taux d'erreur entre 0 et 1)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: string
+ *                     bucket:
+ *                       type: string
+ *                       description: Pas de la série temporelle
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         requests:
+ *                           type: integer
+ *                         errorRate:
+ *                           type: number
+ *                           description: Part des réponses 5xx
+ *                         clientErrorRate:
+ *                           type: number
+ *                           description: Part des réponses 4xx (dont 401 et 429)
+ *                         p50:
+ *                           type: number
+ *                         p95:
+ *                           type: number
+ *                     routes:
+ *                       type: array
+ *                       description: Mêmes agrégats par route (null pour les requêtes sans route, ex 404 ou 429)
+ *                       items:
+ *                         type: object
+ *                     topAirports:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           icao:
+ *                             type: string
+ *                           requests:
+ *                             type: integer
+ *                     topKeys:
+ *                       type: array
+ *                       description: Requêtes par clé d'API (apiKeyId null pour les requêtes sans clé)
+ *                       items:
+ *                         type: object
+ *                     timeline:
+ *                       type: array
+ *                       description: Mêmes agrégats par intervalle (start)
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Paramètres invalides
+ *       401:
+ *         description: Clé d'API absente
+ *       403:
+ *         description: Clé d'API sans accès à l'administration
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const top = req.query.top ? parseInt(req.query.top) : 10;
+    if (isNaN(top) || top < 1 || top > MAX_STATS_TOP) {
+      return res.status(400).json({ success: false, message: `Le paramètre top doit être compris entre 1 et ${MAX_STATS_TOP}` });
+    }
+
+    const stats = await metricsService.getStats(req.query.window || '24h', top);
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Erreur lors du calcul des statistiques' });
+  }
+});
+
+module.exports = router;
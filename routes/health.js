@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const monitoringService = require('../services/monitoringService');
+
+// Format texte d'exposition Prometheus
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Vivacité du processus
+ *     description: Répond tant que le processus traite des requêtes, sans interroger la base de données. Sans clé d'API ni limitation de débit.
+ *     tags: [Supervision]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Processus en vie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       example: ok
+ *                     uptime:
+ *                       type: number
+ *                       description: Durée de fonctionnement (secondes)
+ */
+router.get('/health', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, data: { status: 'ok', uptime: Math.round(process.uptime()) } });
+});
+
+/**
+ * @swagger
+ * /ready:
+ *   get:
+ *     summary: Disponibilité du service
+ *     description: Vérifie que la base de données est joignable, que toutes les migrations sont appliquées sans avoir été modifiées depuis (somme de contrôle) et que des aéroports sont importés. Sans clé d'API ni limitation de débit.
+ *     tags: [Supervision]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Service prêt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ready:
+ *                       type: boolean
+ *                     checks:
+ *                       type: object
+ *                       description: Détail de chaque vérification (database, migrations, airports), avec ok et éventuellement message
+ *             example:
+ *               success: true
+ *               data:
+ *                 ready: true
+ *                 checks:
+ *                   database: { ok: true }
+ *                   migrations: { ok: true, version: 12, expected: 12, pending: [], modified: [], missing: [] }
+ *                   airports: { ok: true }
+ *       503:
+ *         description: Service non prêt (même corps, success à false)
+ */
+router.get('/ready', async (req, res) => {
+  const readiness = await monitoringService.getReadiness();
+  res.set('Cache-Control', 'no-store');
+  res.status(readiness.ready ? 200 : 503).json({ success: readiness.ready, data: readiness });
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Métriques Prometheus
+ *     description: |
+ *       Métriques au format texte Prometheus. Sans clé d'API ni limitation de débit : à restreindre au réseau de supervision.
+ *       - airports_db_pool_connections (state: total, idle, waiting)
+ *       - airports_http_requests_total (route, status) et airports_http_request_duration_seconds (histogramme par route), depuis le démarrage du processus
+ *       - airports_database_up, airports_count et airports_last_import_timestamp_seconds
+ *       - airports_index_size et airports_index_loaded_timestamp_seconds (AIRPORT_INDEX=memory)
+ *       - airports_cache_requests_total (result: hit, miss)
+ *     tags: [Supervision]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Métriques
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/metrics', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.type(PROMETHEUS_CONTENT_TYPE).send(await monitoringService.renderMetrics());
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors du calcul des métriques' });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,278 @@
 const express = require('express');
 const router = express.Router();
 const airportService = require('../services/airportService');
+const geo = require('../utils/geo');
+const { FORMATS, SERIALIZERS, toGeoJSON } = require('../utils/formats');
+const { AIRPORT_TYPES } = require('../utils/validation');
+const units = require('../utils/units');
 
-// Middleware de validation des coordonnées (réutilisable)
-const validateCoordinates = (req, res, next) => {
-  const { lat, lon } = req.query;
+// Demi-largeur par défaut du couloir de /icao/route (km)
+const DEFAULT_ROUTE_WIDTH = 50;
+
+// Nombre d'aéroports retournés par /icao/route : par défaut et maximum
+const DEFAULT_ROUTE_LIMIT = 100;
+const MAX_ROUTE_LIMIT = 1000;
+
+// Écart minimal (km) entre les extrémités d'une route, et entre l'une et l'antipode de l'autre :
+// l'orthodromie n'est pas définie entre deux points confondus ou antipodaux
+const ROUTE_ENDPOINT_TOLERANCE = 1;
+
+// Nombre maximum de points acceptés par POST /icao/batch
+const MAX_BATCH_SIZE = 10000;
+
+// Liste des aéroports : taille de page par défaut et maximale
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const LIST_SORT_FIELDS = ['icao', 'name', 'city', 'country'];
+
+// Autocomplétion : nombre maximum de suggestions et durée de cache navigateur (secondes)
+const MAX_AUTOCOMPLETE_LIMIT = 20;
+const AUTOCOMPLETE_MAX_AGE = 300;
+
+// Tuiles de carte : zoom maximal et durée de cache (secondes)
+const MAX_TILE_ZOOM = 22;
+const TILE_MAX_AGE = 3600;
 
-  if (!lat || !lon) {
-    return res.status(400).json({ success: false, message: 'Les paramètres lat et lon sont requis' });
+// Valide un couple lat/lon, retourne { error } ou { latitude, longitude }
+const parseCoordinates = (lat, lon) => {
+  if (lat === undefined || lat === null || lat === '' || lon === undefined || lon === null || lon === '') {
+    return { error: 'Les paramètres lat et lon sont requis' };
   }
 
   const latitude = parseFloat(lat);
   const longitude = parseFloat(lon);
 
   if (isNaN(latitude) || isNaN(longitude)) {
-    return res.status(400).json({ success: false, message: 'Les paramètres lat et lon doivent être des nombres valides' });
+    return { error: 'Les paramètres lat et lon doivent être des nombres valides' };
   }
 
   if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-    return res.status(400).json({ success: false, message: 'Coordonnées invalides (lat: -90 à 90, lon: -180 à 180)' });
+    return { error: 'Coordonnées invalides (lat: -90 à 90, lon: -180 à 180)' };
+  }
+
+  return { latitude, longitude };
+};
+
+// Valide ?maxDistance= (unité de distance demandée), retourne { error } ou { maxDistance } en km (Infinity si absent)
+const parseMaxDistance = (value, distanceUnit) => {
+  if (value === undefined || value === '') {
+    return { maxDistance: Infinity };
+  }
+  const maxDistance = parseFloat(value);
+  if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+    return { error: 'Le paramètre maxDistance doit être un nombre positif' };
+  }
+  return { maxDistance: units.toKm(maxDistance, distanceUnit) };
+};
+
+// Types retenus sans paramètre type par les recherches de proximité
+const DEFAULT_TYPES = ['large_airport', 'medium_airport', 'small_airport'];
+
+// Valeurs d'un paramètre répété (?type=a&type=b), séparé par des virgules ou passé en tableau JSON
+const parseValues = (value) => (value === undefined || value === null
+  ? []
+  : [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean));
+
+// Valide type, excludeTypes et includeClosed, retourne { error } ou { typeFilter } pour le service
+// Les aéroports fermés sont exclus sauf avec includeClosed=true ; defaultTypes null retient tous les types
+const parseTypeFilter = (params, defaultTypes = DEFAULT_TYPES) => {
+  const types = parseValues(params.type);
+  const excludeTypes = parseValues(params.excludeTypes);
+
+  const unknown = types.find(t => t !== 'all' && !AIRPORT_TYPES.includes(t))
+    || excludeTypes.find(t => !AIRPORT_TYPES.includes(t));
+  if (unknown) {
+    return { error: `Type d'aéroport inconnu: ${unknown} (valeurs: ${AIRPORT_TYPES.join(', ')}, ou all pour type)` };
+  }
+
+  const includeClosed = params.includeClosed === true || params.includeClosed === 'true';
+  if (params.includeClosed !== undefined && !includeClosed && ![false, 'false'].includes(params.includeClosed)) {
+    return { error: 'Le paramètre includeClosed doit valoir true ou false' };
+  }
+  if (types.includes('closed') && !includeClosed) {
+    return { error: 'Les aéroports fermés (type closed) nécessitent includeClosed=true' };
+  }
+
+  const exclude = [...new Set([...excludeTypes, ...(includeClosed ? [] : ['closed'])])];
+  let include = defaultTypes && includeClosed ? [...defaultTypes, 'closed'] : defaultTypes;
+  if (types.length > 0) {
+    include = types.includes('all') ? null : types;
+  }
+
+  if (include) {
+    include = [...new Set(include)].filter(t => !exclude.includes(t));
+    if (include.length === 0) {
+      return { error: 'Aucun type d\'aéroport retenu après exclusion (type, excludeTypes)' };
+    }
+  }
+
+  return { typeFilter: { include, exclude } };
+};
+
+// Valide les filtres de piste (minRunwayLength, surface, lighted)
+const RUNWAY_SURFACES = ['paved', 'unpaved', 'water'];
+const parseRunwayFilters = (params) => {
+  const filters = {};
+
+  if (params.minRunwayLength !== undefined) {
+    filters.minRunwayLength = parseFloat(params.minRunwayLength);
+    if (isNaN(filters.minRunwayLength) || filters.minRunwayLength <= 0) {
+      return { error: 'Le paramètre minRunwayLength doit être un nombre positif (en mètres)' };
+    }
+  }
+
+  if (params.surface !== undefined) {
+    if (!RUNWAY_SURFACES.includes(params.surface)) {
+      return { error: `Le paramètre surface doit valoir: ${RUNWAY_SURFACES.join(', ')}` };
+    }
+    filters.surface = params.surface;
+  }
+
+  if (params.lighted !== undefined) {
+    if (!['true', 'false'].includes(params.lighted)) {
+      return { error: 'Le paramètre lighted doit valoir true ou false' };
+    }
+    filters.lighted = params.lighted === 'true';
+  }
+
+  return { filters };
+};
+
+// Découpe un paramètre de liste séparé par des virgules
+const parseList = (value, transform = (v) => v) => (value
+  ? String(value).split(',').map(v => transform(v.trim())).filter(Boolean)
+  : undefined);
+
+// Valide un paramètre bbox=minLon,minLat,maxLon,maxLat
+const parseBbox = (value) => {
+  const parts = String(value).split(',').map(v => parseFloat(v));
+  const [minLon, minLat, maxLon, maxLat] = parts;
+
+  if (parts.length !== 4 || parts.some(isNaN)) {
+    return { error: 'Le paramètre bbox doit être de la forme minLon,minLat,maxLon,maxLat' };
+  }
+  if (minLat > maxLat || minLat < -90 || maxLat > 90 || minLon < -180 || maxLon > 180 || maxLon < -180 || minLon > 180) {
+    return { error: 'bbox invalide (lat: -90 à 90 avec minLat <= maxLat, lon: -180 à 180)' };
+  }
+
+  return { bbox: { minLon, minLat, maxLon, maxLat } };
+};
+
+// Résout un point de route : "lat,lon" ou code ICAO
+const resolveRoutePoint = async (value, label) => {
+  if (!value) {
+    return { error: `Le paramètre ${label} est requis (code ICAO ou "lat,lon")` };
+  }
+  if (typeof value !== 'string') {
+    return { error: `Le paramètre ${label} ne peut être passé qu'une fois (code ICAO ou "lat,lon")` };
+  }
+
+  if (value.includes(',')) {
+    const [lat, lon] = value.split(',');
+    const { error, latitude, longitude } = parseCoordinates(lat.trim(), lon.trim());
+    return error ? { error: `${label}: ${error}` } : { point: { lat: latitude, lon: longitude } };
+  }
+
+  const airport = await airportService.findByICAO(value);
+  if (!airport) {
+    return { error: `Aucun aéroport trouvé avec le code ICAO: ${value}`, status: 404 };
+  }
+  return { point: { lat: airport.lat, lon: airport.lon }, airport };
+};
+
+// Exprime une distance en km, milles nautiques et milles terrestres
+const formatDistance = (km) => ({
+  km: Math.round(km * 10) / 10,
+  nm: Math.round(km / geo.KM_PER_NAUTICAL_MILE * 10) / 10,
+  mi: Math.round(km / geo.KM_PER_STATUTE_MILE * 10) / 10
+});
+
+// Calcule distance, caps et point milieu d'une étape entre deux aéroports
+const buildLeg = (from, to) => {
+  const mid = geo.midpoint(from.lat, from.lon, to.lat, to.lon);
+  return {
+    from: { icao: from.icao, name: from.name, location: { lat: from.lat, lon: from.lon } },
+    to: { icao: to.icao, name: to.name, location: { lat: to.lat, lon: to.lon } },
+    distance: formatDistance(geo.distance(from.lat, from.lon, to.lat, to.lon)),
+    initialBearing: Math.round(geo.initialBearing(from.lat, from.lon, to.lat, to.lon) * 10) / 10,
+    finalBearing: Math.round(geo.finalBearing(from.lat, from.lon, to.lat, to.lon) * 10) / 10,
+    midpoint: { lat: Math.round(mid.lat * 1e4) / 1e4, lon: Math.round(mid.lon * 1e4) / 1e4 }
+  };
+};
+
+// Middleware de validation des coordonnées (réutilisable)
+const validateCoordinates = (req, res, next) => {
+  const { error, latitude, longitude } = parseCoordinates(req.query.lat, req.query.lon);
+
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
   }
 
   req.coordinates = { latitude, longitude };
   next();
 };
 
+// Valide la date de référence ?asOf= (YYYY-MM-DD à minuit UTC, ou date-heure ISO 8601), retourne { error } ou { asOf }
+const parseAsOf = (value) => {
+  if (value === undefined || value === '') {
+    return { asOf: null };
+  }
+
+  const asOf = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+    ? new Date(value)
+    : null;
+  if (!asOf || isNaN(asOf.getTime())) {
+    return { error: 'Le paramètre asOf doit être une date au format YYYY-MM-DD (ou date-heure ISO 8601)' };
+  }
+  return { asOf };
+};
+
+// Middleware de négociation du format de sortie (?format= prioritaire sur l'en-tête Accept)
+const negotiateFormat = (req, res, next) => {
+  if (req.query.format) {
+    if (typeof req.query.format !== 'string' || !Object.hasOwn(FORMATS, req.query.format)) {
+      return res.status(400).json({ success: false, message: `Le paramètre format doit valoir: ${Object.keys(FORMATS).join(', ')}` });
+    }
+    req.format = req.query.format;
+  } else {
+    const accepted = req.accepts(Object.values(FORMATS));
+    req.format = Object.keys(FORMATS).find(f => FORMATS[f] === accepted) || 'json';
+  }
+  res.vary('Accept');
+  next();
+};
+
+// Middleware de choix des unités de distance et d'altitude (?units=, ?distanceUnit=, ?elevationUnit=)
+const negotiateUnits = (req, res, next) => {
+  const { error, units: selected } = units.parseUnits(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  req.units = selected;
+  next();
+};
+
+// Exprime un ou plusieurs aéroports de réponse dans les unités demandées
+const convertAirports = (data, selected) => (Array.isArray(data)
+  ? data.map(a => units.convertAirport(a, selected))
+  : units.convertAirport(data, selected));
+
+// Envoie une réponse d'aéroports dans le format négocié (enveloppe JSON, ou data seul en GeoJSON/CSV/GPX)
+// Distances en km et altitudes en pieds dans payload, converties selon req.units (altitude GPX toujours en mètres)
+const sendAirports = (req, res, payload) => {
+  const selected = req.units || units.UNIT_SYSTEMS.metric;
+  // Aéroport principal de la réponse, pour les métriques
+  const [first] = [].concat(payload.data);
+  res.locals.icao = first ? first.icao : undefined;
+  if (!req.format || req.format === 'json') {
+    return res.json({ ...payload, data: convertAirports(payload.data, selected), units: selected });
+  }
+
+  const airports = [].concat(payload.data);
+  const serialized = req.format === 'gpx' ? { ...selected, elevation: 'm' } : selected;
+  res.type(FORMATS[req.format]).send(SERIALIZERS[req.format](convertAirports(airports, serialized)));
+};
+
 // Middleware de vérification des données (réutilisable)
 const checkDataLoaded = async (req, res, next) => {
   if (!(await airportService.isDataLoaded())) {
@@ -39,14 +287,107 @@ const checkDataLoaded = async (req, res, next) => {
 // Helper pour formater la réponse d'un aéroport
 const formatAirportResponse = (airport) => ({
   icao: airport.icao,
+  iata: airport.iata,
   name: airport.name,
   city: airport.city,
   country: airport.country,
   type: airport.type,
-  distance: Math.round(airport.distance * 10) / 10,
+  status: airport.status,
+  distance: airport.distance,
   location: { lat: airport.lat, lon: airport.lon }
 });
 
+// Propriétés d'une feature de tuile : aéroport seul ou groupe représenté par son aéroport principal
+const formatTileFeature = ({ count, lat, lon, airport }) => ({
+  cluster: count > 1,
+  count,
+  icao: airport.icao,
+  iata: airport.iata,
+  name: airport.name,
+  city: airport.city,
+  country: airport.country,
+  type: airport.type,
+  status: airport.status,
+  location: { lat, lon }
+});
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     format:
+ *       in: query
+ *       name: format
+ *       required: false
+ *       description: Format de sortie (prioritaire sur l'en-tête Accept application/json, application/geo+json, text/csv ou application/gpx+xml)
+ *       schema:
+ *         type: string
+ *         enum: [json, geojson, csv, gpx]
+ *         default: json
+ *       example: geojson
+ *     asOf:
+ *       in: query
+ *       name: asOf
+ *       required: false
+ *       description: Date de référence (YYYY-MM-DD ou date-heure ISO 8601). Les aéroports sont retournés tels qu'ils étaient à cette date (code, nom, type), d'après l'historique des imports.
+ *       schema:
+ *         type: string
+ *       example: '2023-06-15'
+ *     units:
+ *       in: query
+ *       name: units
+ *       required: false
+ *       description: Unités des distances et altitudes, en réponse comme en entrée (maxDistance, width). metric = km et m, aviation = NM et ft, imperial = mi et ft.
+ *       schema:
+ *         type: string
+ *         enum: [metric, aviation, imperial]
+ *         default: metric
+ *       example: aviation
+ *     distanceUnit:
+ *       in: query
+ *       name: distanceUnit
+ *       required: false
+ *       description: Unité de distance, prioritaire sur units
+ *       schema:
+ *         type: string
+ *         enum: [km, nm, mi]
+ *       example: nm
+ *     elevationUnit:
+ *       in: query
+ *       name: elevationUnit
+ *       required: false
+ *       description: Unité d'altitude, prioritaire sur units (l'altitude GPX reste en mètres)
+ *       schema:
+ *         type: string
+ *         enum: [m, ft]
+ *       example: ft
+ *     type:
+ *       in: query
+ *       name: type
+ *       required: false
+ *       description: Types d'aéroports à inclure, séparés par des virgules ou paramètre répété (par défaut large, medium et small airports ; all pour tous). closed nécessite includeClosed=true.
+ *       schema:
+ *         type: string
+ *       example: heliport,seaplane_base
+ *     excludeTypes:
+ *       in: query
+ *       name: excludeTypes
+ *       required: false
+ *       description: Types d'aéroports à exclure, séparés par des virgules ou paramètre répété
+ *       schema:
+ *         type: string
+ *       example: small_airport
+ *     includeClosed:
+ *       in: query
+ *       name: includeClosed
+ *       required: false
+ *       description: Inclure les aéroports fermés (exclus par défaut). Le statut d'exploitation est retourné dans status (operational ou closed).
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       example: true
+ */
+
 /**
  * @swagger
  * /icao:
@@ -78,19 +419,40 @@ const formatAirportResponse = (airport) => ({
  *       - in: query
  *         name: maxDistance
  *         required: false
- *         description: Distance maximale de recherche en km
+ *         description: Distance maximale de recherche, dans l'unité de distance demandée (km par défaut)
  *         schema:
  *           type: number
  *           format: float
  *         example: 100
+ *       - $ref: '#/components/parameters/type'
+ *       - $ref: '#/components/parameters/excludeTypes'
+ *       - $ref: '#/components/parameters/includeClosed'
  *       - in: query
- *         name: type
+ *         name: minRunwayLength
  *         required: false
- *         description: Types d'aéroports à inclure (par défaut large, medium, small airports)
+ *         description: Longueur minimale d'une piste ouverte, en mètres
+ *         schema:
+ *           type: number
+ *         example: 1500
+ *       - in: query
+ *         name: surface
+ *         required: false
+ *         description: Revêtement de cette piste
  *         schema:
  *           type: string
- *           enum: [large_airport, medium_airport, small_airport, heliport, seaplane_base, balloonport, closed, all]
- *         example: large_airport
+ *           enum: [paved, unpaved, water]
+ *         example: paved
+ *       - in: query
+ *         name: lighted
+ *         required: false
+ *         description: Piste balisée de nuit (true) ou non balisée (false)
+ *         schema:
+ *           type: boolean
+ *         example: true
+ *       - $ref: '#/components/parameters/asOf'
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
  *     responses:
  *       200:
  *         description: Aéroport trouvé avec succès
@@ -111,6 +473,10 @@ const formatAirportResponse = (airport) => ({
  *                     name:
  *                       type: string
  *                       example: Charles de Gaulle International Airport
+ *                     status:
+ *                       type: string
+ *                       enum: [operational, closed]
+ *                       example: operational
  *       400:
  *         description: Paramètres manquants ou invalides
  *       404:
@@ -118,28 +484,36 @@ const formatAirportResponse = (airport) => ({
  *       503:
  *         description: Données non chargées
  */
-router.get('/icao', checkDataLoaded, validateCoordinates, async (req, res) => {
+router.get('/icao', checkDataLoaded, negotiateUnits, validateCoordinates, async (req, res) => {
   try {
     const { latitude, longitude } = req.coordinates;
-    const maxDist = req.query.maxDistance ? parseFloat(req.query.maxDistance) : Infinity;
-    
-    // Gestion du paramètre type
-    let types = ['large_airport', 'medium_airport', 'small_airport'];
-    if (req.query.type) {
-      if (req.query.type === 'all') {
-        types = [];
-      } else {
-        types = [req.query.type];
-      }
+    const { error: maxDistanceError, maxDistance: maxDist } = parseMaxDistance(req.query.maxDistance, req.units.distance);
+    if (maxDistanceError) {
+      return res.status(400).json({ success: false, message: maxDistanceError });
+    }
+
+    const { error: typeError, typeFilter } = parseTypeFilter(req.query);
+    if (typeError) {
+      return res.status(400).json({ success: false, message: typeError });
+    }
+
+    const { error, filters } = parseRunwayFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { error: asOfError, asOf } = parseAsOf(req.query.asOf);
+    if (asOfError) {
+      return res.status(400).json({ success: false, message: asOfError });
     }
 
-    const airport = await airportService.findNearestAirport(latitude, longitude, maxDist, types);
+    const airport = await airportService.findNearestAirport(latitude, longitude, maxDist, typeFilter, filters, asOf);
 
     if (!airport) {
       return res.status(404).json({
         success: false,
         message: req.query.maxDistance
-          ? `Aucun aéroport trouvé dans un rayon de ${req.query.maxDistance} km`
+          ? `Aucun aéroport trouvé dans un rayon de ${req.query.maxDistance} ${req.units.distance}`
           : 'Aucun aéroport trouvé à proximité'
       });
     }
@@ -148,9 +522,158 @@ router.get('/icao', checkDataLoaded, validateCoordinates, async (req, res) => {
       success: true, 
       data: {
         icao: airport.icao,
-        name: airport.name
+        name: airport.name,
+        status: airport.status
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/batch:
+ *   post:
+ *     summary: Obtenir l'aéroport le plus proche pour une liste de points
+ *     description: Résout jusqu'à 10000 points en une seule requête. Les résultats sont retournés dans l'ordre des points, avec une erreur par élément plutôt qu'un échec global.
+ *     tags: [ICAO]
+ *     parameters:
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required: [lat, lon]
+ *               properties:
+ *                 id:
+ *                   description: Identifiant libre renvoyé tel quel dans la réponse
+ *                   example: fix-1
+ *                 lat:
+ *                   type: number
+ *                   example: 48.8566
+ *                 lon:
+ *                   type: number
+ *                   example: 2.3522
+ *                 maxDistance:
+ *                   type: number
+ *                   description: Distance maximale de recherche, dans l'unité de distance demandée (km par défaut)
+ *                   example: 100
+ *                 type:
+ *                   type: string
+ *                   description: Types à inclure, séparés par des virgules (ou tableau)
+ *                   example: heliport,seaplane_base
+ *                 excludeTypes:
+ *                   type: string
+ *                   description: Types à exclure, séparés par des virgules (ou tableau)
+ *                 includeClosed:
+ *                   type: boolean
+ *                   description: Inclure les aéroports fermés
+ *     responses:
+ *       200:
+ *         description: Résultats par point
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         example: fix-1
+ *                       success:
+ *                         type: boolean
+ *                       data:
+ *                         type: object
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Corps de requête invalide
+ *       503:
+ *         description: Données non chargées
+ */
+router.post('/icao/batch', checkDataLoaded, negotiateUnits, async (req, res) => {
+  try {
+    const items = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Le corps de la requête doit être un tableau de points non vide' });
+    }
+
+    if (items.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ success: false, message: `Nombre de points limité à ${MAX_BATCH_SIZE} par requête` });
+    }
+
+    // Valider chaque point, les erreurs sont retournées par élément
+    const results = new Array(items.length);
+    const points = [];
+    const positions = [];
+
+    items.forEach((item, index) => {
+      const id = item && item.id !== undefined ? item.id : index;
+
+      if (!item || typeof item !== 'object') {
+        results[index] = { id, success: false, message: 'Point invalide' };
+        return;
       }
+
+      const { error, latitude, longitude } = parseCoordinates(item.lat, item.lon);
+      if (error) {
+        results[index] = { id, success: false, message: error };
+        return;
+      }
+
+      let maxDistance = Infinity;
+      if (item.maxDistance !== undefined && item.maxDistance !== null) {
+        maxDistance = parseFloat(item.maxDistance);
+        if (!Number.isFinite(maxDistance) || maxDistance <= 0) {
+          results[index] = { id, success: false, message: 'Le paramètre maxDistance doit être un nombre positif' };
+          return;
+        }
+      }
+
+      const { error: typeError, typeFilter } = parseTypeFilter(item);
+      if (typeError) {
+        results[index] = { id, success: false, message: typeError };
+        return;
+      }
+
+      points.push({ lat: latitude, lon: longitude, maxDistance: units.toKm(maxDistance, req.units.distance), typeFilter });
+      positions.push(index);
+    });
+
+    const airports = points.length > 0 ? await airportService.findNearestAirportBatch(points) : [];
+
+    airports.forEach((airport, i) => {
+      const index = positions[i];
+      const id = items[index].id !== undefined ? items[index].id : index;
+      const { maxDistance } = items[index];
+
+      results[index] = airport
+        ? { id, success: true, data: units.convertAirport(formatAirportResponse(airport), req.units) }
+        : {
+          id,
+          success: false,
+          message: maxDistance !== undefined && maxDistance !== null
+            ? `Aucun aéroport trouvé dans un rayon de ${maxDistance} ${req.units.distance}`
+            : 'Aucun aéroport trouvé à proximité'
+        };
     });
+
+    res.json({ success: true, count: results.length, data: results, units: req.units });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Erreur lors de la recherche', error: error.message });
   }
@@ -191,19 +714,41 @@ router.get('/icao', checkDataLoaded, validateCoordinates, async (req, res) => {
  *       - in: query
  *         name: maxDistance
  *         required: false
- *         description: Distance maximale en km
+ *         description: Distance maximale, dans l'unité de distance demandée (km par défaut)
  *         schema:
  *           type: number
  *           format: float
  *         example: 100
+ *       - $ref: '#/components/parameters/type'
+ *       - $ref: '#/components/parameters/excludeTypes'
+ *       - $ref: '#/components/parameters/includeClosed'
  *       - in: query
- *         name: type
+ *         name: minRunwayLength
+ *         required: false
+ *         description: Longueur minimale d'une piste ouverte, en mètres
+ *         schema:
+ *           type: number
+ *         example: 1500
+ *       - in: query
+ *         name: surface
  *         required: false
- *         description: Types d'aéroports à inclure (par défaut large, medium, small airports)
+ *         description: Revêtement de cette piste
  *         schema:
  *           type: string
- *           enum: [large_airport, medium_airport, small_airport, heliport, seaplane_base, balloonport, closed, all]
- *         example: large_airport
+ *           enum: [paved, unpaved, water]
+ *         example: paved
+ *       - in: query
+ *         name: lighted
+ *         required: false
+ *         description: Piste balisée de nuit (true) ou non balisée (false)
+ *         schema:
+ *           type: boolean
+ *         example: true
+ *       - $ref: '#/components/parameters/format'
+ *       - $ref: '#/components/parameters/asOf'
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
  *     responses:
  *       200:
  *         description: Liste des aéroports
@@ -220,30 +765,48 @@ router.get('/icao', checkDataLoaded, validateCoordinates, async (req, res) => {
  *                   type: array
  *                   items:
  *                     type: object
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: FeatureCollection GeoJSON
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Paramètres invalides
  *       503:
  *         description: Données non chargées
  */
-router.get('/icao/nearest', checkDataLoaded, validateCoordinates, async (req, res) => {
+router.get('/icao/nearest', checkDataLoaded, negotiateFormat, negotiateUnits, validateCoordinates, async (req, res) => {
   try {
     const { latitude, longitude } = req.coordinates;
     const limit = req.query.limit ? parseInt(req.query.limit) : 5;
-    const maxDist = req.query.maxDistance ? parseFloat(req.query.maxDistance) : Infinity;
-    
-    // Gestion du paramètre type
-    let types = ['large_airport', 'medium_airport', 'small_airport'];
-    if (req.query.type) {
-      if (req.query.type === 'all') {
-        types = [];
-      } else {
-        types = [req.query.type];
-      }
+    const { error: maxDistanceError, maxDistance: maxDist } = parseMaxDistance(req.query.maxDistance, req.units.distance);
+    if (maxDistanceError) {
+      return res.status(400).json({ success: false, message: maxDistanceError });
     }
 
-    const airports = await airportService.findNearestAirports(latitude, longitude, limit, maxDist, types);
+    const { error: typeError, typeFilter } = parseTypeFilter(req.query);
+    if (typeError) {
+      return res.status(400).json({ success: false, message: typeError });
+    }
 
-    res.json({
+    const { error, filters } = parseRunwayFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { error: asOfError, asOf } = parseAsOf(req.query.asOf);
+    if (asOfError) {
+      return res.status(400).json({ success: false, message: asOfError });
+    }
+
+    const airports = await airportService.findNearestAirports(latitude, longitude, limit, maxDist, typeFilter, filters, asOf);
+
+    sendAirports(req, res, {
       success: true,
       count: airports.length,
       data: airports.map(formatAirportResponse)
@@ -255,37 +818,55 @@ router.get('/icao/nearest', checkDataLoaded, validateCoordinates, async (req, re
 
 /**
  * @swagger
- * /icao/search:
+ * /icao/route:
  *   get:
- *     summary: Rechercher un aéroport par code ICAO ou nom
- *     description: Recherche par code ICAO exact ou par nom/ville (recherche partielle)
+ *     summary: Obtenir les aéroports le long d'une route orthodromique
+ *     description: Retourne les aéroports situés à moins de width (km par défaut) de l'orthodromie entre from et to, triés par distance le long de la route
  *     tags: [ICAO]
  *     parameters:
  *       - in: query
- *         name: code
- *         required: false
- *         description: Code ICAO de l'aéroport (ex LFPG)
+ *         name: from
+ *         required: true
+ *         description: Point de départ (code ICAO ou "lat,lon")
  *         schema:
  *           type: string
  *         example: LFPG
  *       - in: query
- *         name: name
- *         required: false
- *         description: Nom ou ville de l'aéroport (recherche partielle)
+ *         name: to
+ *         required: true
+ *         description: Point d'arrivée (code ICAO ou "lat,lon")
  *         schema:
  *           type: string
- *         example: Paris
+ *         example: KJFK
+ *       - in: query
+ *         name: width
+ *         required: false
+ *         description: Demi-largeur du couloir, dans l'unité de distance demandée (défaut 50 km)
+ *         schema:
+ *           type: number
+ *           format: float
+ *           default: 50
+ *         example: 100
  *       - in: query
  *         name: limit
  *         required: false
- *         description: Nombre maximum de résultats (pour recherche par nom)
+ *         description: Nombre maximum d'aéroports à retourner (1 à 1000)
  *         schema:
  *           type: integer
- *           default: 10
- *         example: 5
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         example: 50
+ *       - $ref: '#/components/parameters/type'
+ *       - $ref: '#/components/parameters/excludeTypes'
+ *       - $ref: '#/components/parameters/includeClosed'
+ *       - $ref: '#/components/parameters/format'
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
  *     responses:
  *       200:
- *         description: Résultats de la recherche
+ *         description: Aéroports le long de la route
  *         content:
  *           application/json:
  *             schema:
@@ -293,44 +874,901 @@ router.get('/icao/nearest', checkDataLoaded, validateCoordinates, async (req, re
  *               properties:
  *                 success:
  *                   type: boolean
- *                 data:
+ *                 count:
+ *                   type: integer
+ *                 route:
  *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: object
+ *                     to:
+ *                       type: object
+ *                     distance:
+ *                       type: number
+ *                       description: Longueur de la route (unité de distance demandée)
+ *                     width:
+ *                       type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       icao:
+ *                         type: string
+ *                       crossTrack:
+ *                         type: number
+ *                         description: Distance transversale (positive à droite de la route)
+ *                       alongTrack:
+ *                         type: number
+ *                         description: Distance le long de la route depuis le départ
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: FeatureCollection GeoJSON
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Paramètres manquants (code ou name requis)
+ *         description: Paramètres manquants ou invalides, ou points de départ et d'arrivée confondus ou antipodaux
  *       404:
- *         description: Aucun résultat trouvé
+ *         description: Code ICAO de départ ou d'arrivée inconnu
  *       503:
  *         description: Données non chargées
  */
-router.get('/icao/search', checkDataLoaded, async (req, res) => {
+router.get('/icao/route', checkDataLoaded, negotiateFormat, negotiateUnits, async (req, res) => {
   try {
-    const { code, name, limit } = req.query;
+    const width = req.query.width ? parseFloat(req.query.width) : units.fromKm(DEFAULT_ROUTE_WIDTH, req.units.distance);
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_ROUTE_LIMIT;
 
-    if (!code && !name) {
-      return res.status(400).json({ success: false, message: 'Le paramètre code ou name est requis' });
+    if (!Number.isFinite(width) || width <= 0) {
+      return res.status(400).json({ success: false, message: 'Le paramètre width doit être un nombre positif' });
+    }
+    if (isNaN(limit) || limit < 1 || limit > MAX_ROUTE_LIMIT) {
+      return res.status(400).json({ success: false, message: `Le paramètre limit doit être compris entre 1 et ${MAX_ROUTE_LIMIT}` });
     }
 
-    if (code) {
-      const airport = await airportService.findByICAO(code);
-      if (!airport) {
-        return res.status(404).json({ success: false, message: `Aucun aéroport trouvé avec le code ICAO: ${code}` });
-      }
-      return res.json({ success: true, data: { ...airport, location: { lat: airport.lat, lon: airport.lon } } });
+    const { error: typeError, typeFilter } = parseTypeFilter(req.query);
+    if (typeError) {
+      return res.status(400).json({ success: false, message: typeError });
     }
 
-    const airports = await airportService.searchByName(name, limit ? parseInt(limit) : 10);
-    if (airports.length === 0) {
-      return res.status(404).json({ success: false, message: `Aucun aéroport trouvé pour: ${name}` });
+    const from = await resolveRoutePoint(req.query.from, 'from');
+    if (from.error) {
+      return res.status(from.status || 400).json({ success: false, message: from.error });
     }
 
-    res.json({
+    const to = await resolveRoutePoint(req.query.to, 'to');
+    if (to.error) {
+      return res.status(to.status || 400).json({ success: false, message: to.error });
+    }
+
+    const length = geo.distance(from.point.lat, from.point.lon, to.point.lat, to.point.lon);
+    if (length < ROUTE_ENDPOINT_TOLERANCE) {
+      return res.status(400).json({ success: false, message: 'Les points de départ et d\'arrivée doivent être distincts' });
+    }
+    if (Math.PI * geo.EARTH_RADIUS_KM - length < ROUTE_ENDPOINT_TOLERANCE) {
+      return res.status(400).json({
+        success: false,
+        message: 'Les points de départ et d\'arrivée sont antipodaux : la route orthodromique n\'est pas définie'
+      });
+    }
+
+    const widthKm = units.toKm(width, req.units.distance);
+    const airports = await airportService.findAirportsAlongRoute(from.point, to.point, widthKm, typeFilter, limit);
+
+    sendAirports(req, res, {
       success: true,
       count: airports.length,
-      data: airports.map(a => ({ ...a, location: { lat: a.lat, lon: a.lon } }))
+      route: {
+        from: { ...(from.airport && { icao: from.airport.icao }), ...from.point },
+        to: { ...(to.airport && { icao: to.airport.icao }), ...to.point },
+        distance: units.fromKm(length, req.units.distance),
+        width
+      },
+      data: airports.map(a => ({
+        ...formatAirportResponse(a),
+        crossTrack: a.crossTrack,
+        alongTrack: a.alongTrack
+      }))
     });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Erreur lors de la recherche' });
   }
 });
 
+/**
+ * @swagger
+ * /icao/distance:
+ *   get:
+ *     summary: Distance et caps entre aéroports
+ *     description: Calcule la distance orthodromique, les caps vrais initial et final et le point milieu entre deux aéroports, ou pour chaque étape d'une route multi-étapes
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Code ICAO de départ (avec to)
+ *         schema:
+ *           type: string
+ *         example: LFPG
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Code ICAO d'arrivée (avec from)
+ *         schema:
+ *           type: string
+ *         example: KJFK
+ *       - in: query
+ *         name: route
+ *         required: false
+ *         description: Liste de codes ICAO séparés par des virgules (remplace from/to)
+ *         schema:
+ *           type: string
+ *         example: LFPG,EGLL,KJFK
+ *     responses:
+ *       200:
+ *         description: Distances et caps calculés
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     legs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           distance:
+ *                             type: object
+ *                             properties:
+ *                               km:
+ *                                 type: number
+ *                               nm:
+ *                                 type: number
+ *                               mi:
+ *                                 type: number
+ *                           initialBearing:
+ *                             type: number
+ *                           finalBearing:
+ *                             type: number
+ *                           midpoint:
+ *                             type: object
+ *                     total:
+ *                       type: object
+ *       400:
+ *         description: Paramètres manquants ou invalides
+ *       404:
+ *         description: Code ICAO inconnu
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/distance', checkDataLoaded, async (req, res) => {
+  try {
+    const codes = req.query.route
+      ? req.query.route.split(',').map(c => c.trim()).filter(Boolean)
+      : [req.query.from, req.query.to].filter(Boolean);
+
+    if (codes.length < 2) {
+      return res.status(400).json({ success: false, message: 'Les paramètres from et to (ou route avec au moins deux codes) sont requis' });
+    }
+
+    const airports = await Promise.all(codes.map(code => airportService.findByICAO(code)));
+    const missing = codes.filter((code, i) => !airports[i]);
+    if (missing.length > 0) {
+      return res.status(404).json({ success: false, message: `Aucun aéroport trouvé avec le code ICAO: ${missing.join(', ')}` });
+    }
+
+    const legs = [];
+    let totalKm = 0;
+    for (let i = 1; i < airports.length; i++) {
+      const [from, to] = [airports[i - 1], airports[i]];
+      legs.push(buildLeg(from, to));
+      totalKm += geo.distance(from.lat, from.lon, to.lat, to.lon);
+    }
+
+    res.json({
+      success: true,
+      data: legs.length === 1
+        ? legs[0]
+        : { legs, total: { distance: formatDistance(totalKm) } }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors du calcul de distance' });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/autocomplete:
+ *   get:
+ *     summary: Suggestions d'aéroports pour un champ de recherche
+ *     description: Autocomplétion par préfixe sur le code ICAO, le code IATA, le nom et la ville. Un code exact est proposé en premier, puis les grands aéroports avant les petits. Réponse compacte, toujours 200 (liste vide si aucune suggestion), avec ETag et Cache-Control.
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: Saisie partielle (1 à 50 caractères)
+ *         schema:
+ *           type: string
+ *         example: par
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Nombre maximum de suggestions (1 à 20)
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 10
+ *         example: 5
+ *     responses:
+ *       200:
+ *         description: Suggestions (éventuellement vides)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       icao:
+ *                         type: string
+ *                         example: LFPG
+ *                       iata:
+ *                         type: string
+ *                         example: CDG
+ *                       name:
+ *                         type: string
+ *                       city:
+ *                         type: string
+ *                       country:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *       304:
+ *         description: Suggestions inchangées (If-None-Match)
+ *       400:
+ *         description: Paramètre q manquant ou trop long, ou limit hors de 1 à 20
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/autocomplete', checkDataLoaded, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+
+    if (!q || q.length > 50) {
+      return res.status(400).json({ success: false, message: 'Le paramètre q est requis (1 à 50 caractères)' });
+    }
+    if (isNaN(limit) || limit < 1 || limit > MAX_AUTOCOMPLETE_LIMIT) {
+      return res.status(400).json({ success: false, message: `Le paramètre limit doit être compris entre 1 et ${MAX_AUTOCOMPLETE_LIMIT}` });
+    }
+
+    const suggestions = await airportService.autocomplete(q, limit);
+
+    res.set('Cache-Control', `public, max-age=${AUTOCOMPLETE_MAX_AGE}`);
+    res.json({ success: true, count: suggestions.length, data: suggestions });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche' });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/search:
+ *   get:
+ *     summary: Rechercher un aéroport par code ICAO, IATA, identifiant ou nom
+ *     description: Recherche par code exact (ICAO, IATA ou tout identifiant) ou par nom/ville/mots-clés. La recherche par nom tolère les accents et les fautes de frappe et retourne un champ score (0 à 1).
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: false
+ *         description: Code ICAO de l'aéroport (ex LFPG)
+ *         schema:
+ *           type: string
+ *         example: LFPG
+ *       - in: query
+ *         name: iata
+ *         required: false
+ *         description: Code IATA de l'aéroport (ex CDG)
+ *         schema:
+ *           type: string
+ *         example: CDG
+ *       - in: query
+ *         name: ident
+ *         required: false
+ *         description: N'importe quel identifiant (ICAO, ident OurAirports, IATA, code GPS ou code local)
+ *         schema:
+ *           type: string
+ *         example: CDG
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         description: Nom, ville ou mot-clé de l'aéroport (recherche floue insensible aux accents, résultats triés par score)
+ *         schema:
+ *           type: string
+ *         example: Paris
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Nombre maximum de résultats (pour recherche par nom)
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         example: 5
+ *       - $ref: '#/components/parameters/includeClosed'
+ *       - $ref: '#/components/parameters/format'
+ *       - $ref: '#/components/parameters/asOf'
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
+ *     responses:
+ *       200:
+ *         description: Résultats de la recherche
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: FeatureCollection GeoJSON
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Paramètres manquants (code, iata, ident ou name requis)
+ *       404:
+ *         description: Aucun résultat trouvé
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/search', checkDataLoaded, negotiateFormat, negotiateUnits, async (req, res) => {
+  try {
+    const { code, iata, ident, name, limit } = req.query;
+
+    if (!code && !iata && !ident && !name) {
+      return res.status(400).json({ success: false, message: 'Le paramètre code, iata, ident ou name est requis' });
+    }
+
+    const { error: asOfError, asOf } = parseAsOf(req.query.asOf);
+    if (asOfError) {
+      return res.status(400).json({ success: false, message: asOfError });
+    }
+    if (asOf && !code) {
+      return res.status(400).json({ success: false, message: 'Le paramètre asOf n\'est disponible qu\'avec code' });
+    }
+
+    // Recherche par identifiant exact
+    const lookups = [
+      { value: code, find: (v) => airportService.findByICAO(v, asOf), label: 'le code ICAO' },
+      { value: iata, find: (v) => airportService.findByIATA(v), label: 'le code IATA' },
+      { value: ident, find: (v) => airportService.findByIdent(v), label: 'l\'identifiant' }
+    ];
+    const lookup = lookups.find(l => l.value);
+    if (lookup) {
+      const airport = await lookup.find(lookup.value);
+      if (!airport) {
+        return res.status(404).json({ success: false, message: `Aucun aéroport trouvé avec ${lookup.label}: ${lookup.value}` });
+      }
+      return sendAirports(req, res, { success: true, data: { ...airport, location: { lat: airport.lat, lon: airport.lon } } });
+    }
+
+    // Recherche par nom : tous les types, aéroports fermés exclus sauf includeClosed=true
+    const { error: typeError, typeFilter } = parseTypeFilter({ includeClosed: req.query.includeClosed }, null);
+    if (typeError) {
+      return res.status(400).json({ success: false, message: typeError });
+    }
+
+    const airports = await airportService.searchByName(name, limit ? parseInt(limit) : 10, typeFilter);
+    if (airports.length === 0) {
+      return res.status(404).json({ success: false, message: `Aucun aéroport trouvé pour: ${name}` });
+    }
+
+    sendAirports(req, res, {
+      success: true,
+      count: airports.length,
+      data: airports.map(a => ({ ...a, location: { lat: a.lat, lon: a.lon } }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche' });
+  }
+});
+
+/**
+ * @swagger
+ * /airports:
+ *   get:
+ *     summary: Lister les aéroports
+ *     description: Liste filtrée par pays, région, continent, type, zone géographique et desserte régulière, triée et paginée par curseur
+ *     tags: [Airports]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         required: false
+ *         description: Codes pays ISO séparés par des virgules
+ *         schema:
+ *           type: string
+ *         example: FR
+ *       - in: query
+ *         name: region
+ *         required: false
+ *         description: Codes région ISO séparés par des virgules
+ *         schema:
+ *           type: string
+ *         example: FR-IDF
+ *       - in: query
+ *         name: continent
+ *         required: false
+ *         description: Codes continent séparés par des virgules (AF, AN, AS, EU, NA, OC, SA)
+ *         schema:
+ *           type: string
+ *         example: EU
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         description: Types d'aéroports séparés par des virgules ou paramètre répété (par défaut tous, hors aéroports fermés)
+ *         schema:
+ *           type: string
+ *         example: large_airport,medium_airport
+ *       - $ref: '#/components/parameters/excludeTypes'
+ *       - $ref: '#/components/parameters/includeClosed'
+ *       - in: query
+ *         name: bbox
+ *         required: false
+ *         description: Zone minLon,minLat,maxLon,maxLat (minLon > maxLon pour traverser l'antiméridien)
+ *         schema:
+ *           type: string
+ *         example: 2.0,48.6,2.8,49.1
+ *       - in: query
+ *         name: scheduledService
+ *         required: false
+ *         description: Desserte commerciale régulière
+ *         schema:
+ *           type: string
+ *           enum: [yes, no]
+ *         example: yes
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Champ de tri, préfixé par - pour un tri décroissant
+ *         schema:
+ *           type: string
+ *           enum: [icao, -icao, name, -name, city, -city, country, -country]
+ *           default: icao
+ *         example: name
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Taille de page (1000 au plus)
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         example: 50
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         description: Curseur retourné par la page précédente (nextCursor)
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/format'
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
+ *     responses:
+ *       200:
+ *         description: Page d'aéroports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               description: FeatureCollection GeoJSON
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Paramètres invalides
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/airports', checkDataLoaded, negotiateFormat, negotiateUnits, async (req, res) => {
+  try {
+    const filters = {
+      country: parseList(req.query.country, v => v.toUpperCase()),
+      region: parseList(req.query.region, v => v.toUpperCase()),
+      continent: parseList(req.query.continent, v => v.toUpperCase())
+    };
+
+    const { error: typeError, typeFilter } = parseTypeFilter(req.query, null);
+    if (typeError) {
+      return res.status(400).json({ success: false, message: typeError });
+    }
+    filters.typeFilter = typeFilter;
+
+    if (req.query.bbox) {
+      const { error, bbox } = parseBbox(req.query.bbox);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      filters.bbox = bbox;
+    }
+
+    if (req.query.scheduledService !== undefined) {
+      if (!['yes', 'no', 'true', 'false'].includes(req.query.scheduledService)) {
+        return res.status(400).json({ success: false, message: 'Le paramètre scheduledService doit valoir yes ou no' });
+      }
+      filters.scheduledService = ['yes', 'true'].includes(req.query.scheduledService);
+    }
+
+    const sortParam = req.query.sort || 'icao';
+    const sort = sortParam.replace(/^-/, '');
+    if (!LIST_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ success: false, message: `Le paramètre sort doit valoir: ${LIST_SORT_FIELDS.join(', ')} (préfixe - pour décroissant)` });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ success: false, message: `Le paramètre limit doit être compris entre 1 et ${MAX_PAGE_SIZE}` });
+    }
+
+    const { airports, nextCursor } = await airportService.listAirports(filters, {
+      sort,
+      desc: sortParam.startsWith('-'),
+      cursor: req.query.cursor,
+      limit
+    });
+
+    sendAirports(req, res, {
+      success: true,
+      count: airports.length,
+      nextCursor,
+      data: airports.map(a => ({ ...a, location: { lat: a.lat, lon: a.lon } }))
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche' });
+  }
+});
+
+/**
+ * @swagger
+ * /tiles/{z}/{x}/{y}.geojson:
+ *   get:
+ *     summary: Tuile de carte des aéroports (GeoJSON)
+ *     description: |
+ *       Aéroports d'une tuile Web Mercator (schéma XYZ, comme OpenStreetMap), pour afficher une carte sans tout charger.
+ *       Types affichés selon le zoom : grands aéroports jusqu'au zoom 4, moyens à partir du zoom 5, petits et hydrobases à partir du zoom 8, tous à partir du zoom 11 (aéroports fermés avec includeClosed=true).
+ *       Jusqu'au zoom 12, les aéroports proches sont regroupés (cluster=true, count) sous le plus important d'entre eux, placé au barycentre du groupe.
+ *     tags: [Tiles]
+ *     parameters:
+ *       - in: path
+ *         name: z
+ *         required: true
+ *         description: Niveau de zoom (0 à 22)
+ *         schema:
+ *           type: integer
+ *         example: 5
+ *       - in: path
+ *         name: x
+ *         required: true
+ *         description: Colonne de la tuile (0 à 2^z - 1)
+ *         schema:
+ *           type: integer
+ *         example: 16
+ *       - in: path
+ *         name: y
+ *         required: true
+ *         description: Ligne de la tuile (0 à 2^z - 1, 0 au nord)
+ *         schema:
+ *           type: integer
+ *         example: 11
+ *       - $ref: '#/components/parameters/includeClosed'
+ *     responses:
+ *       200:
+ *         description: FeatureCollection de points (propriétés cluster, count, icao, iata, name, city, country, type)
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Coordonnées de tuile ou includeClosed invalides
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/tiles/:z/:x/:y.geojson', checkDataLoaded, async (req, res) => {
+  try {
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(v => /^\d+$/.test(v) ? parseInt(v) : NaN);
+
+    if (isNaN(z) || z > MAX_TILE_ZOOM) {
+      return res.status(400).json({ success: false, message: `Le zoom doit être un entier compris entre 0 et ${MAX_TILE_ZOOM}` });
+    }
+    if (isNaN(x) || isNaN(y) || x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ success: false, message: `x et y doivent être des entiers compris entre 0 et ${2 ** z - 1} au zoom ${z}` });
+    }
+
+    const { error: typeError, typeFilter } = parseTypeFilter({ includeClosed: req.query.includeClosed }, null);
+    if (typeError) {
+      return res.status(400).json({ success: false, message: typeError });
+    }
+
+    const features = await airportService.findTileAirports(z, x, y, typeFilter);
+
+    res.set('Cache-Control', `public, max-age=${TILE_MAX_AGE}`);
+    res.type(FORMATS.geojson).send(toGeoJSON(features.map(formatTileFeature)));
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la génération de la tuile' });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/{code}/runways:
+ *   get:
+ *     summary: Obtenir les pistes d'un aéroport
+ *     description: Longueur, largeur, revêtement, balisage et caractéristiques de chaque extrémité de piste (source OurAirports runways.csv)
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         description: Code ICAO de l'aéroport
+ *         schema:
+ *           type: string
+ *         example: LFPG
+ *     responses:
+ *       200:
+ *         description: Liste des pistes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 icao:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Aéroport inconnu
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/:code/runways', checkDataLoaded, async (req, res) => {
+  try {
+    const runways = await airportService.findRunways(req.params.code);
+    if (!runways) {
+      return res.status(404).json({ success: false, message: `Aucun aéroport trouvé avec le code ICAO: ${req.params.code}` });
+    }
+
+    res.json({ success: true, icao: req.params.code.toUpperCase(), count: runways.length, data: runways });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche des pistes' });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/{code}/frequencies:
+ *   get:
+ *     summary: Obtenir les fréquences radio d'un aéroport
+ *     description: Fréquences ATIS, TWR, GND, APP... (source OurAirports airport-frequencies.csv)
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         description: Code ICAO de l'aéroport
+ *         schema:
+ *           type: string
+ *         example: LFPG
+ *     responses:
+ *       200:
+ *         description: Liste des fréquences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 icao:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Aéroport inconnu
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/:code/frequencies', checkDataLoaded, async (req, res) => {
+  try {
+    const frequencies = await airportService.findFrequencies(req.params.code);
+    if (!frequencies) {
+      return res.status(404).json({ success: false, message: `Aucun aéroport trouvé avec le code ICAO: ${req.params.code}` });
+    }
+
+    res.json({ success: true, icao: req.params.code.toUpperCase(), count: frequencies.length, data: frequencies });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche des fréquences' });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/{code}/navaids:
+ *   get:
+ *     summary: Obtenir les balises de radionavigation associées à un aéroport
+ *     description: VOR, DME, NDB... rattachés à l'aéroport (source OurAirports navaids.csv)
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         description: Code ICAO de l'aéroport
+ *         schema:
+ *           type: string
+ *         example: LFPG
+ *     responses:
+ *       200:
+ *         description: Liste des balises
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 icao:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         description: Aéroport inconnu
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/:code/navaids', checkDataLoaded, async (req, res) => {
+  try {
+    const navaids = await airportService.findNavaids(req.params.code);
+    if (!navaids) {
+      return res.status(404).json({ success: false, message: `Aucun aéroport trouvé avec le code ICAO: ${req.params.code}` });
+    }
+
+    res.json({ success: true, icao: req.params.code.toUpperCase(), count: navaids.length, data: navaids });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche des balises' });
+  }
+});
+
+/**
+ * @swagger
+ * /icao/{code}/history:
+ *   get:
+ *     summary: Historique d'un code ICAO
+ *     description: Révisions successives de l'aéroport (renommage, changement de type, fermeture, suppression) enregistrées à chaque import, avec leur période de validité. validFrom null désigne la première version connue, validTo null la révision en vigueur.
+ *     tags: [ICAO]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         description: Code ICAO de l'aéroport
+ *         schema:
+ *           type: string
+ *         example: LFPG
+ *       - $ref: '#/components/parameters/units'
+ *       - $ref: '#/components/parameters/distanceUnit'
+ *       - $ref: '#/components/parameters/elevationUnit'
+ *     responses:
+ *       200:
+ *         description: Révisions, de la plus ancienne à la plus récente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 icao:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                       validFrom:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       validTo:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       404:
+ *         description: Code ICAO jamais importé
+ *       503:
+ *         description: Données non chargées
+ */
+router.get('/icao/:code/history', checkDataLoaded, negotiateUnits, async (req, res) => {
+  try {
+    const revisions = await airportService.findHistory(req.params.code);
+    if (revisions.length === 0) {
+      return res.status(404).json({ success: false, message: `Aucun historique pour le code ICAO: ${req.params.code}` });
+    }
+
+    res.json({
+      success: true,
+      icao: req.params.code.toUpperCase(),
+      count: revisions.length,
+      data: convertAirports(revisions, req.units),
+      units: req.units
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Erreur lors de la recherche de l\'historique' });
+  }
+});
+
 module.exports = router;
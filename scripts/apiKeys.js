@@ -0,0 +1,87 @@
+/**
+ * Gestion des clés d'API (table api_keys)
+ * La clé en clair n'est affichée qu'à la création : seule son empreinte SHA-256 est stockée.
+ *
+ * Usage: npm run api-keys -- create <nom> [--rate-limit <requêtes/minute>] [--daily-quota <requêtes/jour>] [--admin]
+ *        npm run api-keys -- revoke <id|préfixe>
+ *        npm run api-keys -- list [--all]
+ * Sans --rate-limit ni --daily-quota, la clé suit RATE_LIMIT_PER_MINUTE et DAILY_QUOTA ; 0 la rend illimitée.
+ * --admin donne accès aux routes /admin (statistiques d'utilisation).
+ */
+
+require('dotenv').config();
+const { testConnection, closePool } = require('../config/database');
+const apiKeyService = require('../services/apiKeyService');
+const { DEFAULT_LIMITS } = require('../middleware/apiKeyAuth');
+const { parseArgs } = require('../utils/args');
+
+// Entier positif ou nul d'une option (0 : illimité), null si l'option est absente
+const parseLimitOption = (options, name) => {
+  if (options[name] === undefined) return null;
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} doit être un entier positif ou nul: ${options[name]}`);
+  }
+  return value;
+};
+
+// Limite affichée : propre à la clé ou valeur par défaut
+const formatLimit = (value, fallback) => (value === null
+  ? `${fallback || 'illimité'} (défaut)`
+  : String(value || 'illimité'));
+
+const printApiKey = (apiKey) => {
+  const status = apiKey.revokedAt ? `révoquée le ${apiKey.revokedAt}` : 'active';
+  console.log(`  #${apiKey.id} ${apiKey.prefix}... ${apiKey.name}${apiKey.admin ? ' [admin]' : ''} (${status})`);
+  console.log(`     débit: ${formatLimit(apiKey.rateLimit, DEFAULT_LIMITS.key.rateLimit)} req/min, quota: ${formatLimit(apiKey.dailyQuota, DEFAULT_LIMITS.key.dailyQuota)} req/jour, créée le ${apiKey.createdAt}`);
+};
+
+async function run() {
+  const { options, positional } = parseArgs(process.argv.slice(2));
+  const [command, argument] = positional;
+
+  try {
+    if (!['create', 'revoke', 'list'].includes(command)) {
+      throw new Error(`Commande inconnue: ${command || '(aucune)'} (create <nom>, revoke <id|préfixe> ou list)`);
+    }
+    if (command !== 'list' && !argument) {
+      throw new Error(command === 'create' ? 'Nom de la clé requis: create <nom>' : 'Clé à révoquer requise: revoke <id|préfixe>');
+    }
+    const limits = {
+      rateLimit: parseLimitOption(options, 'rate-limit'),
+      dailyQuota: parseLimitOption(options, 'daily-quota'),
+      admin: options.admin === true
+    };
+
+    if (!(await testConnection())) {
+      throw new Error('Impossible de se connecter à la base de données');
+    }
+
+    if (command === 'create') {
+      const { key, apiKey } = await apiKeyService.create(argument, limits);
+      console.log('\n✅ Clé d\'API créée:');
+      printApiKey(apiKey);
+      console.log(`\n🔑 ${key}`);
+      console.log('⚠️  Conservez cette clé : elle ne pourra plus être affichée.');
+    } else if (command === 'revoke') {
+      const apiKey = await apiKeyService.revoke(argument);
+      if (!apiKey) {
+        throw new Error(`Aucune clé active ne correspond à: ${argument}`);
+      }
+      console.log('\n↩️  Clé d\'API révoquée (effective sous une minute sur les instances en cours):');
+      printApiKey(apiKey);
+    } else {
+      const apiKeys = await apiKeyService.list({ includeRevoked: options.all === true });
+      console.log(`\n📋 ${apiKeys.length} clé(s) d'API${options.all ? '' : ' active(s)'}:`);
+      apiKeys.forEach(printApiKey);
+    }
+  } catch (error) {
+    console.error('\n❌ Erreur:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Exécution
+run();
@@ -1,20 +1,459 @@
 /**
  * Script d'import des données CSV vers PostgreSQL
- * Usage: npm run db:import
+ * L'import calcule les différences avec la table (ajouts, modifications, suppressions) et les applique
+ * dans une seule transaction : l'API continue de servir l'ancien jeu de données jusqu'au COMMIT.
+ *
+ * Usage: npm run db:import -- [source] [--runways <source>] [--frequencies <source>] [--navaids <source>]
+ *                            [--report <fichier.csv|fichier.json>] [--strict [--max-errors <n|n%>]]
+ * Une source est un chemin, une URL file:// ou http(s)://, éventuellement compressée (.gz).
+ * Par défaut data/airports.csv ; les pistes, fréquences et balises sont cherchées à côté des aéroports.
+ * Les lignes rejetées par la validation sont écrites dans le rapport (data/import-rejects.csv par défaut) ;
+ * avec --strict, l'import échoue si leur nombre dépasse --max-errors (0 par défaut).
  */
 
 require('dotenv').config();
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { fileURLToPath } = require('url');
 const csv = require('csv-parser');
 const { query, getClient, testConnection, closePool } = require('../config/database');
+const datasetVersion = require('../services/datasetVersion');
+const { validateAirport } = require('../utils/validation');
+const { escapeCSV } = require('../utils/formats');
+const { parseArgs } = require('../utils/args');
 
-const CSV_PATH = path.join(__dirname, '../data/airports.csv');
+const DEFAULT_SOURCE = path.join(__dirname, '../data/airports.csv');
+const DEFAULT_REPORT_PATH = path.join(__dirname, '../data/import-rejects.csv');
+
+// Type attribué aux aéroports sans type (CSV sans colonne type) : un type de AIRPORT_TYPES,
+// pour que ces aéroports restent visibles des filtres de types et des tuiles
+const DEFAULT_TYPE = 'small_airport';
+
+// Nombre de lignes rejetées détaillées dans la console (toutes figurent dans le rapport)
+const REJECT_PREVIEW_SIZE = 5;
+
+// Nombre maximum de redirections HTTP suivies pour une source distante
+const MAX_REDIRECTS = 5;
+
+// Insertion multi-lignes : PostgreSQL limite une requête à 65535 paramètres
+const MAX_QUERY_PARAMS = 65535;
+const MAX_BATCH_ROWS = 1000;
+
+// Colonnes de données d'un aéroport, comparées pour calculer les différences (hors id et horodatages)
+const AIRPORT_COLUMNS = ['icao', 'name', 'latitude', 'longitude', 'city', 'country', 'elevation_ft', 'type',
+  'ident', 'icao_code', 'iata_code', 'gps_code', 'local_code', 'keywords', 'region', 'continent', 'scheduled_service'];
+
+// Nombre de codes ICAO affichés par catégorie dans le rapport de changements
+const REPORT_PREVIEW_SIZE = 10;
+
+// Helpers de conversion des champs CSV (chaîne vide => null)
+const toInt = (value) => (value === undefined || value === '' ? null : Math.round(parseFloat(value)));
+const toFloat = (value) => (value === undefined || value === '' || isNaN(parseFloat(value)) ? null : parseFloat(value));
+const toText = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Fichiers complémentaires OurAirports (optionnels, importés s'ils sont présents)
+ * toRow reçoit la ligne CSV et les idents importés, et retourne null pour ignorer la ligne.
+ */
+const RELATED_DATA = {
+  runways: {
+    label: 'Pistes',
+    file: 'runways.csv',
+    table: 'runways',
+    columns: ['id', 'airport_ident', 'length_ft', 'width_ft', 'surface', 'lighted', 'closed',
+      'le_ident', 'le_latitude', 'le_longitude', 'le_elevation_ft', 'le_heading', 'le_displaced_threshold_ft',
+      'he_ident', 'he_latitude', 'he_longitude', 'he_elevation_ft', 'he_heading', 'he_displaced_threshold_ft'],
+    toRow: (row, idents) => (!idents.has(row.airport_ident) ? null : [
+      toInt(row.id), row.airport_ident, toInt(row.length_ft), toInt(row.width_ft), toText(row.surface),
+      row.lighted === '1', row.closed === '1',
+      toText(row.le_ident), toFloat(row.le_latitude_deg), toFloat(row.le_longitude_deg),
+      toInt(row.le_elevation_ft), toFloat(row.le_heading_degT), toInt(row.le_displaced_threshold_ft),
+      toText(row.he_ident), toFloat(row.he_latitude_deg), toFloat(row.he_longitude_deg),
+      toInt(row.he_elevation_ft), toFloat(row.he_heading_degT), toInt(row.he_displaced_threshold_ft)
+    ])
+  },
+  frequencies: {
+    label: 'Fréquences',
+    file: 'airport-frequencies.csv',
+    table: 'airport_frequencies',
+    columns: ['id', 'airport_ident', 'type', 'description', 'frequency_mhz'],
+    toRow: (row, idents) => (!idents.has(row.airport_ident) ? null : [
+      toInt(row.id), row.airport_ident, toText(row.type), toText(row.description), toFloat(row.frequency_mhz)
+    ])
+  },
+  navaids: {
+    label: 'Balises',
+    file: 'navaids.csv',
+    table: 'navaids',
+    columns: ['id', 'ident', 'name', 'type', 'frequency_khz', 'latitude', 'longitude', 'elevation_ft', 'country',
+      'dme_frequency_khz', 'dme_channel', 'magnetic_variation_deg', 'usage_type', 'power', 'associated_airport'],
+    toRow: (row, idents) => [
+      toInt(row.id), toText(row.ident), toText(row.name), toText(row.type), toInt(row.frequency_khz),
+      toFloat(row.latitude_deg), toFloat(row.longitude_deg), toInt(row.elevation_ft), toText(row.iso_country),
+      toInt(row.dme_frequency_khz), toText(row.dme_channel), toFloat(row.magnetic_variation_deg),
+      toText(row.usageType), toText(row.power),
+      idents.has(row.associated_airport) ? row.associated_airport : null
+    ]
+  }
+};
+
+const isURL = (source) => /^https?:\/\//i.test(source);
+const isGzip = (source) => (isURL(source) ? new URL(source).pathname : source).endsWith('.gz');
+
+// Chemin local d'une source (les URL file:// sont converties)
+const resolveSource = (source) => (source.startsWith('file://') ? fileURLToPath(source) : source);
+
+// Source voisine de celle des aéroports (même dossier ou même URL de base, même compression)
+const siblingSource = (source, fileName) => {
+  const name = fileName + (isGzip(source) ? '.gz' : '');
+  return isURL(source) ? new URL(name, source).href : path.join(path.dirname(source), name);
+};
+
+/**
+ * Ouvre une source en flux, téléchargée si c'est une URL et décompressée si elle finit par .gz
+ * Une source absente (fichier inexistant ou HTTP 404) émet une erreur de code ENOENT.
+ * @param {string} source - Chemin local ou URL http(s)
+ * @returns {import('stream').Readable} Contenu CSV
+ */
+function openSource(source) {
+  const output = new PassThrough();
+
+  const forward = (stream) => {
+    stream.on('error', (err) => output.destroy(err));
+    if (isGzip(source)) {
+      stream.pipe(zlib.createGunzip()).on('error', (err) => output.destroy(err)).pipe(output);
+    } else {
+      stream.pipe(output);
+    }
+  };
+
+  const download = (url, redirects) => {
+    (url.startsWith('https:') ? https : http).get(url, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location && redirects < MAX_REDIRECTS) {
+        response.resume();
+        return download(new URL(headers.location, url).href, redirects + 1);
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        const error = new Error(`HTTP ${statusCode} pour ${url}`);
+        if (statusCode === 404) error.code = 'ENOENT';
+        return output.destroy(error);
+      }
+      forward(response);
+    }).on('error', (err) => output.destroy(err));
+  };
+
+  if (isURL(source)) {
+    download(source, 0);
+  } else {
+    forward(fs.createReadStream(source));
+  }
+  return output;
+}
+
+/**
+ * Lit une source CSV et appelle onRow pour chaque ligne
+ * @param {string} source - Chemin local ou URL http(s)
+ * @param {Function} onRow - Callback appelé avec chaque ligne
+ * @returns {Promise<void>}
+ */
+function readCSV(source, onRow) {
+  return new Promise((resolve, reject) => {
+    openSource(source)
+      .on('error', reject)
+      .pipe(csv())
+      .on('data', onRow)
+      .on('end', resolve)
+      .on('error', reject);
+  });
+}
+
+/**
+ * Lit le seuil --max-errors : nombre de lignes (ex 100) ou pourcentage des lignes lues (ex 0.5%)
+ * @param {string|boolean|undefined} value - Valeur de l'option
+ * @returns {{count?: number, ratio?: number}} Seuil (0 ligne par défaut)
+ */
+function parseThreshold(value) {
+  if (value === undefined || value === true) {
+    return { count: 0 };
+  }
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(value);
+  if (!match) {
+    throw new Error(`--max-errors doit être un nombre de lignes ou un pourcentage (ex 100 ou 0.5%): ${value}`);
+  }
+  return match[2] ? { ratio: parseFloat(match[1]) / 100 } : { count: parseInt(match[1]) };
+}
+
+/**
+ * Écrit le rapport des lignes rejetées : JSON si le chemin finit par .json, CSV sinon
+ * Le CSV reprend les colonnes d'origine, précédées du numéro de ligne, des règles et des motifs de rejet.
+ * @param {string} reportPath - Chemin du rapport
+ * @param {string} source - Source importée
+ * @param {Array<{line: number, errors: Array<Object>, row: Object}>} rejected - Lignes rejetées
+ */
+function writeRejectReport(reportPath, source, rejected) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+
+  if (reportPath.endsWith('.json')) {
+    const report = { source, generatedAt: new Date().toISOString(), rejected: rejected.length, rows: rejected };
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const columns = new Set();
+  rejected.forEach(({ row }) => Object.keys(row).forEach(key => columns.add(key)));
+  const lines = [['line', 'rules', 'reasons', ...columns].join(',')];
+  rejected.forEach(({ line, errors, row }) => {
+    const values = [line, [...new Set(errors.map(e => e.rule))].join(';'), errors.map(e => e.message).join('; '), ...[...columns].map(c => row[c])];
+    lines.push(values.map(escapeCSV).join(','));
+  });
+  fs.writeFileSync(reportPath, lines.join('\r\n') + '\r\n');
+}
+
+// Débit d'une étape, ex: "3020 lignes en 0.4 s (7550 lignes/s)"
+const formatThroughput = (count, ms) =>
+  `${count} lignes en ${(ms / 1000).toFixed(1)} s (${Math.round(count / Math.max(ms, 1) * 1000)} lignes/s)`;
+
+/**
+ * Insère des lignes par requêtes multi-lignes avec affichage de la progression
+ * @param {Object} client - Client PostgreSQL (transaction en cours)
+ * @param {string} table - Table cible
+ * @param {Array<string>} columns - Colonnes, dans l'ordre des valeurs de chaque ligne
+ * @param {Array<Array>} rows - Valeurs de chaque ligne
+ * @returns {Promise<number>} Nombre de lignes insérées
+ */
+async function insertRows(client, table, columns, rows) {
+  const batchSize = Math.min(MAX_BATCH_ROWS, Math.floor(MAX_QUERY_PARAMS / columns.length));
+  let inserted = 0;
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const values = batch.map((row, r) =>
+      `(${row.map((_, c) => `$${r * columns.length + c + 1}`).join(', ')})`
+    );
+    await client.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}`, batch.flat());
+    inserted += batch.length;
+    process.stdout.write(`\r  Progression: ${inserted}/${rows.length} (${Math.round(inserted / rows.length * 100)}%)`);
+  }
+  if (rows.length > 0) process.stdout.write('\n');
+  return inserted;
+}
+
+/**
+ * Supprime les pistes, fréquences et balises avant l'application des différences sur airports
+ * Elles sont rechargées ensuite par insertRelatedData (un changement d'ident casserait les clés étrangères).
+ * @param {Object} client - Client PostgreSQL (transaction en cours)
+ */
+async function clearRelatedData(client) {
+  await client.query('DELETE FROM runways');
+  await client.query('DELETE FROM airport_frequencies');
+  await client.query('DELETE FROM navaids');
+}
+
+/**
+ * Lit les pistes, fréquences et balises rattachées aux aéroports importés
+ * Les lignes rattachées à un aéroport absent du CSV sont ignorées, une source absente est signalée.
+ * @param {Object} sources - Source de chaque fichier complémentaire (clés de RELATED_DATA)
+ * @param {Set<string>} idents - Idents des aéroports importés
+ * @returns {Promise<Object>} Lignes lues par fichier (absent si la source n'existe pas)
+ */
+async function readRelatedData(sources, idents) {
+  const related = {};
+
+  for (const [key, { label, toRow }] of Object.entries(RELATED_DATA)) {
+    const rows = [];
+    const startedAt = Date.now();
+    try {
+      await readCSV(sources[key], (row) => {
+        const values = toRow(row, idents);
+        if (values) rows.push(values);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      console.log(`  ⚠️  ${sources[key]} non trouvé, ${label.toLowerCase()} ignorées`);
+      continue;
+    }
+    console.log(`  ✓ ${label}: ${formatThroughput(rows.length, Date.now() - startedAt)}`);
+    related[key] = rows;
+  }
+
+  return related;
+}
+
+/**
+ * Insère les pistes, fréquences et balises lues par readRelatedData
+ * @param {Object} client - Client PostgreSQL (transaction en cours)
+ * @param {Object} related - Lignes lues par fichier
+ * @returns {Promise<Object>} Nombre de lignes importées par fichier
+ */
+async function insertRelatedData(client, related) {
+  const stats = {};
+  for (const [key, rows] of Object.entries(related)) {
+    const { label, table, columns } = RELATED_DATA[key];
+    console.log(`  ${label} (${table}):`);
+    stats[key] = await insertRows(client, table, columns, rows);
+  }
+  return stats;
+}
+
+// Paramètres SQL d'un aéroport, dans l'ordre de AIRPORT_COLUMNS
+const toAirportRow = (airport) => [
+  airport.icao,
+  airport.name,
+  airport.latitude,
+  airport.longitude,
+  airport.city,
+  airport.country,
+  airport.elevationFt,
+  airport.type,
+  airport.ident,
+  airport.icaoCode,
+  airport.iataCode,
+  airport.gpsCode,
+  airport.localCode,
+  airport.keywords,
+  airport.region,
+  airport.continent,
+  airport.scheduledService
+];
+
+/**
+ * Charge les aéroports du CSV dans une table temporaire (supprimée au COMMIT)
+ * @param {Object} client - Client PostgreSQL (transaction en cours)
+ * @param {Array<Object>} airports - Aéroports lus depuis le CSV
+ * @returns {Promise<number>} Nombre de lignes chargées
+ */
+async function stageAirports(client, airports) {
+  const columns = AIRPORT_COLUMNS.join(', ');
+  await client.query(`CREATE TEMP TABLE airports_staging ON COMMIT DROP AS SELECT ${columns} FROM airports WITH NO DATA`);
+  await client.query('ALTER TABLE airports_staging ADD PRIMARY KEY (icao)');
+
+  return insertRows(client, 'airports_staging', AIRPORT_COLUMNS, airports.map(toAirportRow));
+}
+
+/**
+ * Compare la table temporaire à la table airports
+ * @param {Object} client - Client PostgreSQL (transaction en cours)
+ * @returns {Promise<{inserted: Array<string>, updated: Array<{icao: string, fields: Array<string>}>, removed: Array<string>}>}
+ */
+async function computeDiff(client) {
+  const changedFields = AIRPORT_COLUMNS
+    .filter(column => column !== 'icao')
+    .map(column => `CASE WHEN s.${column} IS DISTINCT FROM a.${column} THEN '${column}' END`)
+    .join(', ');
+
+  const inserted = await client.query(`
+    SELECT s.icao FROM airports_staging s
+    WHERE NOT EXISTS (SELECT 1 FROM airports a WHERE a.icao = s.icao)
+    ORDER BY s.icao
+  `);
+  const updated = await client.query(`
+    SELECT icao, fields FROM (
+      SELECT s.icao, array_remove(ARRAY[${changedFields}], NULL) AS fields
+      FROM airports_staging s JOIN airports a ON a.icao = s.icao
+    ) diff
+    WHERE cardinality(fields) > 0
+    ORDER BY icao
+  `);
+  const removed = await client.query(`
+    SELECT a.icao FROM airports a
+    WHERE NOT EXISTS (SELECT 1 FROM airports_staging s WHERE s.icao = a.icao)
+    ORDER BY a.icao
+  `);
+
+  return {
+    inserted: inserted.rows.map(r => r.icao),
+    updated: updated.rows,
+    removed: removed.rows.map(r => r.icao)
+  };
+}
+
+/**
+ * Applique les différences à la table airports (suppressions, mises à jour puis ajouts)
+ * Les id des aéroports conservés ne changent pas.
+ * @param {Object} client - Client PostgreSQL (transaction en cours)
+ * @param {Object} diff - Résultat de computeDiff
+ */
+async function applyDiff(client, diff) {
+  const columns = AIRPORT_COLUMNS.join(', ');
+
+  await client.query('DELETE FROM airports WHERE icao = ANY($1)', [diff.removed]);
+
+  await client.query(`
+    UPDATE airports a SET
+      ${AIRPORT_COLUMNS.filter(c => c !== 'icao').map(c => `${c} = s.${c}`).join(',\n      ')},
+      updated_at = CURRENT_TIMESTAMP
+    FROM airports_staging s
+    WHERE a.icao = s.icao AND a.icao = ANY($1)
+  `, [diff.updated.map(u => u.icao)]);
+
+  await client.query(`
+    INSERT INTO airports (${columns})
+    SELECT ${columns} FROM airports_staging WHERE icao = ANY($1)
+  `, [diff.inserted]);
+}
+
+/**
+ * Enregistre les différences dans airport_history : la révision en vigueur des aéroports modifiés
+ * ou supprimés est close, une nouvelle révision est ouverte pour les aéroports ajoutés ou modifiés.
+ * Au premier import (historique vide), les révisions sont valides depuis le début de l'historique.
+ * @param {Object} client - Client PostgreSQL (transaction en cours, différences déjà appliquées)
+ * @param {Object} diff - Résultat de computeDiff
+ * @param {number} importId - Rapport d'import à l'origine des révisions
+ */
+async function recordHistory(client, diff, importId) {
+  const columns = AIRPORT_COLUMNS.join(', ');
+  const updated = diff.updated.map(u => u.icao);
+  const empty = await client.query('SELECT NOT EXISTS (SELECT 1 FROM airport_history) AS empty');
+
+  // CURRENT_TIMESTAMP est l'heure de début de la transaction : les révisions se suivent sans trou
+  await client.query(`
+    UPDATE airport_history SET valid_to = CURRENT_TIMESTAMP
+    WHERE icao = ANY($1) AND valid_to IS NULL
+  `, [[...diff.removed, ...updated]]);
+
+  await client.query(`
+    INSERT INTO airport_history (${columns}, valid_from, import_id)
+    SELECT ${columns}, ${empty.rows[0].empty ? "'-infinity'" : 'CURRENT_TIMESTAMP'}, $2
+    FROM airports WHERE icao = ANY($1)
+  `, [[...diff.inserted, ...updated], importId]);
+}
+
+/**
+ * Affiche le rapport de changements (nombres et premiers codes ICAO concernés)
+ * @param {Object} diff - Résultat de computeDiff
+ */
+function printDiff(diff) {
+  const preview = (codes) => codes.length > REPORT_PREVIEW_SIZE
+    ? `${codes.slice(0, REPORT_PREVIEW_SIZE).join(', ')}... (+${codes.length - REPORT_PREVIEW_SIZE})`
+    : codes.join(', ');
+
+  console.log(`  ➕ Ajoutés: ${diff.inserted.length}${diff.inserted.length > 0 ? ` (${preview(diff.inserted)})` : ''}`);
+  console.log(`  ✏️  Modifiés: ${diff.updated.length}${diff.updated.length > 0 ? ` (${preview(diff.updated.map(u => u.icao))})` : ''}`);
+  diff.updated.slice(0, REPORT_PREVIEW_SIZE).forEach(u => console.log(`     - ${u.icao}: ${u.fields.join(', ')}`));
+  console.log(`  ➖ Supprimés: ${diff.removed.length}${diff.removed.length > 0 ? ` (${preview(diff.removed)})` : ''}`);
+}
 
 async function importCSV() {
   console.log('🔄 Démarrage de l\'import CSV...\n');
 
+  const { options, positional } = parseArgs(process.argv.slice(2));
+  const source = resolveSource(options.airports || positional[0] || DEFAULT_SOURCE);
+  const relatedSources = {};
+  Object.entries(RELATED_DATA).forEach(([key, { file }]) => {
+    relatedSources[key] = resolveSource(options[key] || siblingSource(source, file));
+  });
+  const reportPath = options.report || DEFAULT_REPORT_PATH;
+  const startedAt = Date.now();
+
   try {
+    const threshold = parseThreshold(options['max-errors']);
+
     // Test de connexion
     console.log('1️⃣  Test de la connexion à la base de données...');
     const connected = await testConnection();
@@ -22,129 +461,162 @@ async function importCSV() {
       throw new Error('Impossible de se connecter à la base de données');
     }
 
-    // Vérifier que le fichier CSV existe
+    // Vérifier que le fichier CSV existe (une URL est vérifiée à la lecture)
     console.log('\n2️⃣  Vérification du fichier CSV...');
-    if (!fs.existsSync(CSV_PATH)) {
-      throw new Error(`Fichier CSV non trouvé: ${CSV_PATH}`);
+    if (!isURL(source) && !fs.existsSync(source)) {
+      throw new Error(`Fichier CSV non trouvé: ${source}`);
     }
-    console.log(`✓ Fichier trouvé: ${CSV_PATH}`);
-
-    // Vider la table existante (optionnel - commenter si vous voulez garder les données)
-    console.log('\n3️⃣  Nettoyage de la table airports...');
-    await query('TRUNCATE TABLE airports RESTART IDENTITY CASCADE');
-    console.log('✓ Table vidée');
-
-    // Import des données
-    console.log('\n4️⃣  Import des données...');
-    
-    const airports = [];
-    let errorCount = 0;
+    console.log(`✓ Source: ${source}${isGzip(source) ? ' (gzip)' : ''}`);
+
+    // Lecture des données
+    console.log('\n3️⃣  Lecture des données...');
+
+    // Première ligne de chaque code ICAO et de chaque ident, pour signaler les doublons
+    const airportsByIcao = new Map();
+    const identLines = new Map();
+    const icaoLines = new Map();
+    const idents = new Set();
+    const rejected = [];
     let lineNumber = 0;
 
     // Lire le CSV
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(CSV_PATH)
-        .pipe(csv())
-        .on('data', (row) => {
-          lineNumber++;
-          
-          // Adapter selon le format du CSV OurAirports
-          // Format: id,ident,type,name,latitude_deg,longitude_deg,elevation_ft,continent,iso_country,iso_region,municipality,scheduled_service,icao_code,iata_code,gps_code,local_code,home_link,wikipedia_link,keywords
-          const airport = {
-            // Priorité: icao_code, puis ident, puis gps_code
-            icao: row.icao_code || row.ident || row.gps_code || row.icao || row.ICAO,
-            name: row.name || row.NAME || '',
-            // Coordonnées en degrés décimaux
-            latitude: parseFloat(row.latitude_deg || row.latitude || row.lat || row.LAT),
-            longitude: parseFloat(row.longitude_deg || row.longitude || row.lon || row.LON),
-            // Ville
-            city: row.municipality || row.city || row.CITY || '',
-            // Pays (code ISO)
-            country: row.iso_country || row.country || row.COUNTRY || '',
-            // Altitude en pieds convertie en mètres
-            elevation: row.elevation_ft ? Math.round(parseFloat(row.elevation_ft) * 0.3048) : null,
-            // Type d'aéroport
-            type: row.type || row.TYPE || 'airport'
-          };
-
-          // Valider les données essentielles
-          if (!airport.icao || isNaN(airport.latitude) || isNaN(airport.longitude)) {
-            errorCount++;
-            if (errorCount <= 5) {
-              console.warn(`⚠️  Ligne ${lineNumber} ignorée (données invalides):`, airport);
-            }
-            return;
-          }
-
-          airports.push(airport);
-        })
-        .on('end', resolve)
-        .on('error', reject);
+    const readStartedAt = Date.now();
+    await readCSV(source, (row) => {
+      lineNumber++;
+      
+      // Adapter selon le format du CSV OurAirports
+      // Format: id,ident,type,name,latitude_deg,longitude_deg,elevation_ft,continent,iso_country,iso_region,municipality,scheduled_service,icao_code,iata_code,gps_code,local_code,home_link,wikipedia_link,keywords
+      const airport = {
+        // Priorité: icao_code, puis ident, puis gps_code
+        icao: row.icao_code || row.ident || row.gps_code || row.icao || row.ICAO,
+        // Identifiants d'origine conservés séparément
+        // ident: identifiant OurAirports (liaison avec runways, fréquences et balises)
+        ident: row.ident || null,
+        icaoCode: row.icao_code || null,
+        iataCode: row.iata_code || null,
+        gpsCode: row.gps_code || null,
+        localCode: row.local_code || null,
+        name: row.name || row.NAME || '',
+        // Coordonnées en degrés décimaux
+        latitude: parseFloat(row.latitude_deg || row.latitude || row.lat || row.LAT),
+        longitude: parseFloat(row.longitude_deg || row.longitude || row.lon || row.LON),
+        // Ville
+        city: row.municipality || row.city || row.CITY || '',
+        // Pays (code ISO)
+        country: row.iso_country || row.country || row.COUNTRY || '',
+        // Région ISO (ex FR-IDF) et continent
+        region: row.iso_region || null,
+        continent: row.continent || null,
+        // Desserte commerciale régulière
+        scheduledService: row.scheduled_service === 'yes',
+        // Altitude en pieds, telle que dans le fichier source
+        elevationFt: toInt(row.elevation_ft),
+        // Type d'aéroport
+        type: row.type || row.TYPE || null,
+        // Mots-clés (noms alternatifs), utilisés par la recherche par nom
+        keywords: row.keywords || null
+      };
+
+      // Ligne du fichier (la ligne 1 est l'en-tête)
+      const line = lineNumber + 1;
+      const errors = validateAirport(airport);
+
+      // Doublons (même code ICAO ou même ident) : la première ligne est conservée
+      if (airport.icao && icaoLines.has(airport.icao)) {
+        errors.push({ rule: 'duplicate_icao', message: `Code ICAO ${airport.icao} déjà présent ligne ${icaoLines.get(airport.icao)}` });
+      }
+      if (airport.ident && identLines.has(airport.ident)) {
+        errors.push({ rule: 'duplicate_ident', message: `Ident ${airport.ident} déjà présent ligne ${identLines.get(airport.ident)}` });
+      }
+
+      if (errors.length > 0) {
+        rejected.push({ line, ident: airport.ident, icao: airport.icao, errors, row });
+        if (rejected.length <= REJECT_PREVIEW_SIZE) {
+          console.warn(`⚠️  Ligne ${line} rejetée: ${errors.map(e => e.message).join('; ')}`);
+        }
+        return;
+      }
+
+      airport.type = airport.type || DEFAULT_TYPE;
+      airportsByIcao.set(airport.icao, airport);
+      icaoLines.set(airport.icao, line);
+      if (airport.ident) {
+        identLines.set(airport.ident, line);
+        idents.add(airport.ident);
+      }
     });
 
+    const airports = [...airportsByIcao.values()];
     console.log(`\n✓ ${airports.length} aéroports lus depuis le CSV`);
-    if (errorCount > 0) {
-      console.log(`⚠️  ${errorCount} lignes ignorées (données invalides)`);
+    console.log(`  Lecture: ${formatThroughput(lineNumber, Date.now() - readStartedAt)}`);
+
+    // Rapport des lignes rejetées, écrit à chaque import (vide si tout est valide)
+    writeRejectReport(reportPath, source, rejected);
+    if (rejected.length > 0) {
+      const byRule = {};
+      rejected.forEach(({ errors }) => new Set(errors.map(e => e.rule)).forEach(rule => { byRule[rule] = (byRule[rule] || 0) + 1; }));
+      console.log(`⚠️  ${rejected.length} lignes rejetées (${Object.entries(byRule).map(([rule, n]) => `${rule}: ${n}`).join(', ')})`);
     }
+    console.log(`  Rapport des lignes rejetées: ${reportPath}`);
+
+    if (options.strict) {
+      const exceeded = threshold.ratio !== undefined
+        ? rejected.length > threshold.ratio * lineNumber
+        : rejected.length > threshold.count;
+      if (exceeded) {
+        const limit = threshold.ratio !== undefined ? `${threshold.ratio * 100}% des lignes` : `${threshold.count} lignes`;
+        throw new Error(`Mode strict: ${rejected.length} lignes rejetées, seuil de ${limit} dépassé (import annulé)`);
+      }
+    }
+
+    // Un fichier vide supprimerait tous les aéroports
+    if (airports.length === 0) {
+      throw new Error('Aucun aéroport valide dans le CSV, import annulé');
+    }
+
+    // Fichiers complémentaires lus avant d'ouvrir la transaction
+    console.log('\n📎 Lecture des pistes, fréquences et balises...');
+    const related = await readRelatedData(relatedSources, idents);
+
+    // Calcul et application des différences dans une seule transaction
+    console.log('\n4️⃣  Chargement dans la table temporaire...');
 
-    // Insertion en batch pour de meilleures performances
-    console.log('\n5️⃣  Insertion dans la base de données...');
-    
     const client = await getClient();
-    let insertedCount = 0;
-    let duplicateCount = 0;
-    
+    const writeStartedAt = Date.now();
+    let diff;
+    let relatedStats = {};
+
     try {
       await client.query('BEGIN');
 
-      const insertSQL = `
-        INSERT INTO airports (icao, name, latitude, longitude, city, country, elevation, type)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        ON CONFLICT (icao) DO UPDATE SET
-          name = EXCLUDED.name,
-          latitude = EXCLUDED.latitude,
-          longitude = EXCLUDED.longitude,
-          city = EXCLUDED.city,
-          country = EXCLUDED.country,
-          elevation = EXCLUDED.elevation,
-          type = EXCLUDED.type,
-          updated_at = CURRENT_TIMESTAMP
-      `;
-
-      // Insérer par batch de 100
-      const batchSize = 100;
-      for (let i = 0; i < airports.length; i += batchSize) {
-        const batch = airports.slice(i, i + batchSize);
-        
-        for (const airport of batch) {
-          try {
-            await client.query(insertSQL, [
-              airport.icao,
-              airport.name,
-              airport.latitude,
-              airport.longitude,
-              airport.city,
-              airport.country,
-              airport.elevation,
-              airport.type
-            ]);
-            insertedCount++;
-          } catch (err) {
-            if (err.code === '23505') { // Code pour violation de contrainte unique
-              duplicateCount++;
-            } else {
-              console.error(`Erreur lors de l'insertion de ${airport.icao}:`, err.message);
-            }
-          }
-        }
+      await stageAirports(client, airports);
 
-        // Afficher la progression
-        const progress = Math.min(i + batchSize, airports.length);
-        process.stdout.write(`\r  Progression: ${progress}/${airports.length} (${Math.round(progress / airports.length * 100)}%)`);
-      }
+      console.log('\n5️⃣  Calcul des différences...');
+      diff = await computeDiff(client);
+      printDiff(diff);
+
+      // Rapport de changements conservé en base
+      const report = await client.query(`
+        INSERT INTO import_reports (source, total, inserted, updated, removed, rejected, changes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [source, airports.length, diff.inserted.length, diff.updated.length, diff.removed.length, rejected.length, JSON.stringify(diff)]);
+
+      console.log('\n6️⃣  Application des différences...');
+      await clearRelatedData(client);
+      await applyDiff(client, diff);
+      await recordHistory(client, diff, report.rows[0].id);
+      console.log('✓ Différences appliquées et historisées');
+
+      // Données complémentaires liées aux aéroports
+      console.log('\n📎 Import des pistes, fréquences et balises...');
+      relatedStats = await insertRelatedData(client, related);
+
+      // Les API prennent en compte la nouvelle version des données : cache, ETag, index en mémoire
+      // (notification remise au COMMIT)
+      await client.query('SELECT pg_notify($1, $2)', [datasetVersion.channel, String(report.rows[0].id)]);
 
       await client.query('COMMIT');
-      console.log('\n✓ Insertion terminée');
 
     } catch (error) {
       await client.query('ROLLBACK');
@@ -154,16 +626,20 @@ async function importCSV() {
     }
 
     // Statistiques finales
-    console.log('\n6️⃣  Statistiques:');
+    console.log('\n7️⃣  Statistiques:');
     const count = await query('SELECT COUNT(*) FROM airports');
     console.log(`  - Total dans la base: ${count.rows[0].count}`);
-    console.log(`  - Insérés: ${insertedCount}`);
-    if (duplicateCount > 0) {
-      console.log(`  - Doublons ignorés: ${duplicateCount}`);
-    }
+    console.log(`  - Ajoutés: ${diff.inserted.length}, modifiés: ${diff.updated.length}, supprimés: ${diff.removed.length}`);
+    console.log(`  - Lignes rejetées: ${rejected.length}`);
+    if (relatedStats.runways !== undefined) console.log(`  - Pistes: ${relatedStats.runways}`);
+    if (relatedStats.frequencies !== undefined) console.log(`  - Fréquences: ${relatedStats.frequencies}`);
+    if (relatedStats.navaids !== undefined) console.log(`  - Balises: ${relatedStats.navaids}`);
+    const writtenRows = airports.length + Object.values(relatedStats).reduce((sum, n) => sum + n, 0);
+    console.log(`  - Écriture: ${formatThroughput(writtenRows, Date.now() - writeStartedAt)}`);
+    console.log(`  - Durée totale: ${((Date.now() - startedAt) / 1000).toFixed(1)} s`);
 
     // Quelques exemples
-    console.log('\n7️⃣  Exemples d\'aéroports importés:');
+    console.log('\n8️⃣  Exemples d\'aéroports importés:');
     const samples = await query('SELECT icao, name, city, country FROM airports LIMIT 5');
     samples.rows.forEach(row => {
       console.log(`  - ${row.icao}: ${row.name} (${row.city || 'N/A'}, ${row.country || 'N/A'})`);
@@ -174,7 +650,8 @@ async function importCSV() {
 
   } catch (error) {
     console.error('\n❌ Erreur lors de l\'import:', error.message);
-    process.exit(1);
+    // Code de sortie sans process.exit() : le bloc finally ferme d'abord le pool
+    process.exitCode = 1;
   } finally {
     await closePool();
   }
@@ -1,53 +1,205 @@
 /**
- * Script de migration pour créer la table airports
- * Usage: npm run db:migrate
+ * Migrations versionnées du schéma (fichiers numérotés du dossier migrations/)
+ * Chaque migration exporte { up, down } (SQL) ; les migrations appliquées sont enregistrées dans
+ * schema_migrations avec la somme de contrôle de leur fichier, qui ne doit plus être modifié ensuite.
+ * Les extensions optionnelles (index spatial, recherche floue) sont configurées après chaque up.
+ *
+ * Usage: npm run db:migrate [-- up | down [n] | status]
  */
 
 require('dotenv').config();
-const { query, testConnection, closePool } = require('../config/database');
-
-const createTableSQL = `
-CREATE TABLE IF NOT EXISTS airports (
-  id SERIAL PRIMARY KEY,
-  icao VARCHAR(10) UNIQUE NOT NULL,
+const path = require('path');
+const { getClient, testConnection, closePool } = require('../config/database');
+const { MIGRATIONS_DIR, loadMigrations, compareMigrations } = require('../config/migrations');
+const { SPATIAL_BACKENDS, SPATIAL_SETUP_SQL } = require('../config/spatial');
+const { TEXT_SEARCH_SETUP_SQL } = require('../config/search');
+
+// Verrou consultatif : deux conteneurs qui démarrent ensemble n'appliquent pas les migrations en parallèle
+const MIGRATION_LOCK_ID = 4242001;
+
+const createMigrationsTableSQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
   name VARCHAR(255) NOT NULL,
-  latitude DECIMAL(10, 8) NOT NULL,
-  longitude DECIMAL(11, 8) NOT NULL,
-  city VARCHAR(100),
-  country VARCHAR(100),
-  elevation INTEGER,
-  type VARCHAR(50),
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  checksum CHAR(64) NOT NULL,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
+`;
 
--- Index BTREE pour les recherches par plage de coordonnées (requis pour WHERE latitude BETWEEN)
-CREATE INDEX IF NOT EXISTS idx_airports_latitude ON airports (latitude);
-CREATE INDEX IF NOT EXISTS idx_airports_longitude ON airports (longitude);
+// Vérifie qu'aucune migration appliquée n'a été modifiée ou supprimée depuis
+const assertChecksums = ({ modified, missing }) => {
+  if (modified.length > 0) {
+    throw new Error(`Migrations modifiées après application (somme de contrôle différente): ${modified.map(m => path.basename(m.file)).join(', ')}`);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Migrations appliquées introuvables dans ${MIGRATIONS_DIR}: ${missing.map(m => `${m.version}_${m.name}`).join(', ')}`);
+  }
+};
 
--- Index composite pour les recherches géographiques combinées (optimisation des requêtes de distance)
-CREATE INDEX IF NOT EXISTS idx_airports_lat_lon ON airports (latitude, longitude);
+/**
+ * Exécute une migration (up ou down) et met à jour schema_migrations dans une même transaction
+ * @param {Object} client - Client PostgreSQL
+ * @param {Object} migration - Migration issue de loadMigrations
+ * @param {string} direction - up ou down
+ */
+async function runMigration(client, migration, direction) {
+  const { up, down } = require(migration.file);
+  try {
+    await client.query('BEGIN');
+    await client.query(direction === 'up' ? up : down);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${path.basename(migration.file)} (${direction}): ${error.message}`);
+  }
+}
 
--- Index unique pour les recherches par code ICAO (LOWER pour case-insensitive)
-CREATE INDEX IF NOT EXISTS idx_airports_icao_lower ON airports (LOWER(icao));
+/**
+ * Installe le premier backend spatial disponible (PostGIS, puis earthdistance) et son index GiST
+ * SPATIAL_BACKEND permet de forcer un backend ; en cas d'échec la recherche reste en SQL standard.
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<string>} Backend installé (postgis, earthdistance ou none)
+ */
+async function setupSpatialBackend(client) {
+  const forced = process.env.SPATIAL_BACKEND;
+  if (forced === 'none') {
+    return 'none';
+  }
 
--- Index pour les recherches par nom (LOWER pour case-insensitive)
-CREATE INDEX IF NOT EXISTS idx_airports_name_lower ON airports (LOWER(name));
+  const available = await client.query(
+    `SELECT name FROM pg_available_extensions WHERE name IN ('postgis', 'cube', 'earthdistance')`
+  );
+  const names = available.rows.map(r => r.name);
+  const candidates = SPATIAL_BACKENDS
+    .filter(b => b !== 'none' && (!forced || forced === 'auto' || forced === b))
+    .filter(b => (b === 'postgis' ? names.includes('postgis') : names.includes('cube') && names.includes('earthdistance')));
+
+  for (const backend of candidates) {
+    try {
+      await client.query(SPATIAL_SETUP_SQL[backend]);
+      return backend;
+    } catch (error) {
+      console.warn(`⚠️  Backend spatial ${backend} indisponible: ${error.message}`);
+    }
+  }
 
--- Index pour les recherches par ville (LOWER pour case-insensitive)
-CREATE INDEX IF NOT EXISTS idx_airports_city_lower ON airports (LOWER(city));
+  return 'none';
+}
 
--- Index pour les recherches par pays
-CREATE INDEX IF NOT EXISTS idx_airports_country ON airports (country);
+/**
+ * Installe la recherche floue (pg_trgm + unaccent) et ses index trigrammes
+ * @param {Object} client - Client PostgreSQL
+ * @returns {Promise<boolean>} True si la recherche floue est disponible
+ */
+async function setupTextSearch(client) {
+  try {
+    await client.query(TEXT_SEARCH_SETUP_SQL);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Recherche floue indisponible: ${error.message}`);
+    return false;
+  }
+}
 
--- Index pour les recherches par type d'aéroport
-CREATE INDEX IF NOT EXISTS idx_airports_type ON airports (type);
-`;
+/**
+ * Applique les migrations en attente puis configure les extensions optionnelles
+ * @param {Object} client - Client PostgreSQL (verrou de migration pris)
+ * @param {Array<Object>} pending - Migrations en attente
+ */
+async function migrateUp(client, pending) {
+  console.log('\n3️⃣  Application des migrations...');
+  if (pending.length === 0) {
+    console.log('✓ Schéma à jour, aucune migration en attente');
+  }
+  for (const migration of pending) {
+    await runMigration(client, migration, 'up');
+    console.log(`✅ ${path.basename(migration.file)}`);
+  }
+
+  // Index spatial (KNN)
+  console.log('\n4️⃣  Configuration de l\'index spatial...');
+  const backend = await setupSpatialBackend(client);
+  if (backend === 'none') {
+    console.log('✓ Aucun backend spatial : recherche par boîte lat/lon (PostgreSQL standard)');
+  } else {
+    console.log(`✅ Backend spatial ${backend} configuré (index GiST + tri KNN)`);
+  }
+
+  // Recherche floue
+  console.log('\n5️⃣  Configuration de la recherche par nom...');
+  if (await setupTextSearch(client)) {
+    console.log('✅ Recherche floue configurée (pg_trgm + unaccent, index trigrammes)');
+  } else {
+    console.log('✓ Recherche floue indisponible : recherche par nom en LIKE');
+  }
+
+  // Statistiques
+  const count = await client.query('SELECT COUNT(*) FROM airports');
+  console.log(`\n📊 Nombre d'aéroports dans la base: ${count.rows[0].count}`);
+}
+
+/**
+ * Annule les dernières migrations appliquées, de la plus récente à la plus ancienne
+ * @param {Object} client - Client PostgreSQL (verrou de migration pris)
+ * @param {Array<Object>} migrations - Migrations appliquées à annuler
+ */
+async function migrateDown(client, migrations) {
+  console.log('\n3️⃣  Annulation des migrations...');
+  if (migrations.length === 0) {
+    console.log('✓ Aucune migration appliquée');
+  }
+  for (const migration of migrations) {
+    await runMigration(client, migration, 'down');
+    console.log(`↩️  ${path.basename(migration.file)}`);
+  }
+}
+
+/**
+ * Affiche l'état de chaque migration
+ * @param {Array<Object>} migrations - Résultat de loadMigrations
+ * @param {Array<Object>} applied - Lignes de schema_migrations
+ */
+function printStatus(migrations, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const { modified, missing } = compareMigrations(migrations, applied);
+
+  console.log('\n3️⃣  État des migrations:');
+  migrations.forEach(migration => {
+    const row = appliedByVersion.get(migration.version);
+    const file = path.basename(migration.file);
+    if (!row) {
+      console.log(`  ⏳ ${file} (en attente)`);
+    } else if (modified.includes(migration)) {
+      console.log(`  ⚠️  ${file} (appliquée le ${row.applied_at.toISOString()}, fichier modifié depuis)`);
+    } else {
+      console.log(`  ✅ ${file} (appliquée le ${row.applied_at.toISOString()})`);
+    }
+  });
+  missing.forEach(row => console.log(`  ❓ ${row.version}_${row.name} (appliquée, fichier introuvable)`));
+}
 
 async function migrate() {
-  console.log('🔄 Démarrage de la migration...\n');
+  const [command = 'up', countArg] = process.argv.slice(2);
+  console.log(`🔄 Migration (${command})...\n`);
 
+  let client;
   try {
+    if (!['up', 'down', 'status'].includes(command)) {
+      throw new Error(`Commande inconnue: ${command} (up, down [n] ou status)`);
+    }
+    const count = countArg === undefined ? 1 : parseInt(countArg);
+    if (command === 'down' && (isNaN(count) || count < 1)) {
+      throw new Error(`Nombre de migrations à annuler invalide: ${countArg}`);
+    }
+
     // Test de connexion
     console.log('1️⃣  Test de la connexion à la base de données...');
     const connected = await testConnection();
@@ -55,40 +207,46 @@ async function migrate() {
       throw new Error('Impossible de se connecter à la base de données');
     }
 
-    // Création de la table
-    console.log('\n2️⃣  Création de la table airports et des index...');
-    await query(createTableSQL);
-    console.log('✅ Table airports créée avec succès');
-
-    // Vérification
-    console.log('\n3️⃣  Vérification de la table...');
-    const result = await query(`
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = 'airports'
-      ORDER BY ordinal_position
-    `);
-    
-    console.log('\nColonnes de la table airports:');
-    result.rows.forEach(row => {
-      console.log(`  - ${row.column_name}: ${row.data_type}`);
-    });
-
-    // Statistiques
-    const count = await query('SELECT COUNT(*) FROM airports');
-    console.log(`\n📊 Nombre d'aéroports dans la base: ${count.rows[0].count}`);
+    // Verrou et table des migrations
+    console.log('\n2️⃣  Lecture des migrations...');
+    client = await getClient();
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(createMigrationsTableSQL);
+
+    const migrations = loadMigrations();
+    const applied = (await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')).rows;
+    const comparison = compareMigrations(migrations, applied);
+    console.log(`✓ ${migrations.length} migrations, ${applied.length} appliquées, ${comparison.pending.length} en attente`);
+
+    if (command === 'status') {
+      printStatus(migrations, applied);
+    } else {
+      assertChecksums(comparison);
+      if (command === 'up') {
+        await migrateUp(client, comparison.pending);
+      } else {
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const toRevert = migrations.filter(m => appliedVersions.has(m.version)).reverse().slice(0, count);
+        await migrateDown(client, toRevert);
+      }
+    }
 
     console.log('\n✅ Migration terminée avec succès!');
-    console.log('\n💡 Prochaine étape: Importez vos données avec "npm run db:import"');
-    
+    if (command === 'up') {
+      console.log('\n💡 Prochaine étape: Importez vos données avec "npm run db:import"');
+    }
+
   } catch (error) {
     console.error('\n❌ Erreur lors de la migration:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
+    if (client) {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+      client.release();
+    }
     await closePool();
   }
 }
 
 // Exécution
 migrate();
-
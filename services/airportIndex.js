@@ -0,0 +1,129 @@
+const datasetVersion = require('./datasetVersion');
+
+/**
+ * Index spatial en mémoire des aéroports (AIRPORT_INDEX=memory)
+ * Les aéroports sont chargés au démarrage dans une grille de cellules de GRID_CELL_DEGREES degrés ;
+ * AirportService y résout les recherches de proximité et de couloir sans interroger PostgreSQL.
+ * L'index est rechargé à chaque nouvelle version du jeu de données (voir datasetVersion).
+ */
+
+// Taille des cellules de la grille (degrés de latitude et de longitude)
+const GRID_CELL_DEGREES = 1;
+
+// Nouvel essai après un échec de chargement (ms)
+const LOAD_RETRY_DELAY = 30000;
+
+const cellIndex = (value, max) => Math.min(Math.floor(value / GRID_CELL_DEGREES), Math.floor(max / GRID_CELL_DEGREES) - 1);
+const cellKey = (latCell, lonCell) => `${latCell}:${lonCell}`;
+
+class AirportIndex {
+  constructor() {
+    this.enabled = process.env.AIRPORT_INDEX === 'memory';
+    this.cells = null;
+    this.size = 0;
+    this.version = null;
+    this.loadedAt = null;
+    this.loading = null;
+    this.loadAirports = null;
+  }
+
+  /**
+   * Vrai si l'index est activé et chargé ; sinon les recherches passent par PostgreSQL
+   */
+  isReady() {
+    return this.enabled && this.cells !== null;
+  }
+
+  /**
+   * Charge l'index puis le recharge à chaque import (sans effet si AIRPORT_INDEX n'est pas memory)
+   * Un chargement en échec est retenté après LOAD_RETRY_DELAY.
+   * @param {Function} loadAirports - Lecture de tous les aéroports, formatés comme par le chemin SQL
+   */
+  start(loadAirports) {
+    if (!this.enabled) return;
+    this.loadAirports = loadAirports;
+
+    datasetVersion.on('change', (version) => {
+      if ((version && version.id) !== this.version) this.reload();
+    });
+    datasetVersion.start();
+    this.reload();
+  }
+
+  // Chargement en tâche de fond, retenté en cas d'échec
+  reload() {
+    this.load().catch(error => {
+      console.error('❌ Chargement de l\'index des aéroports impossible:', error.message);
+      setTimeout(() => this.reload(), LOAD_RETRY_DELAY).unref();
+    });
+  }
+
+  /**
+   * Charge tous les aéroports dans une nouvelle grille, puis la substitue à l'ancienne
+   * Les chargements simultanés n'en font qu'un.
+   */
+  async load() {
+    if (this.loading) {
+      return this.loading;
+    }
+
+    this.loading = (async () => {
+      const startedAt = Date.now();
+      // Version lue avant les aéroports : un import validé entre les deux provoquera un nouveau chargement
+      const version = await datasetVersion.refresh();
+      const airports = await this.loadAirports();
+
+      const cells = new Map();
+      airports.forEach(airport => {
+        const key = cellKey(cellIndex(airport.lat + 90, 180), cellIndex(airport.lon + 180, 360));
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push({ lat: airport.lat, lon: airport.lon, type: airport.type, airport });
+      });
+
+      this.cells = cells;
+      this.size = airports.length;
+      this.version = version && version.id;
+      this.loadedAt = new Date();
+      console.log(`✅ Index des aéroports en mémoire: ${this.size} aéroports chargés en ${Date.now() - startedAt} ms`);
+    })();
+
+    try {
+      await this.loading;
+    } finally {
+      this.loading = null;
+    }
+
+    // Import validé pendant le chargement (sa notification a rejoint le chargement en cours)
+    const current = datasetVersion.current;
+    if ((current && current.id) !== this.version) {
+      this.reload();
+    }
+  }
+
+  /**
+   * Aéroports situés dans au moins une des boîtes (bornes incluses, comme BETWEEN)
+   * @param {Array<{minLat: number, maxLat: number, minLon: number, maxLon: number}>} boxes - minLon <= maxLon
+   * @param {Function} [predicate] - Filtre appliqué à chaque entrée ({lat, lon, type, airport})
+   * @returns {Array<Object>} Entrées de l'index, chacune une seule fois
+   */
+  findInBoxes(boxes, predicate = () => true) {
+    const found = new Set();
+    boxes.forEach(({ minLat, maxLat, minLon, maxLon }) => {
+      const [firstLat, lastLat] = [cellIndex(minLat + 90, 180), cellIndex(maxLat + 90, 180)];
+      const [firstLon, lastLon] = [cellIndex(minLon + 180, 360), cellIndex(maxLon + 180, 360)];
+      for (let latCell = firstLat; latCell <= lastLat; latCell++) {
+        for (let lonCell = firstLon; lonCell <= lastLon; lonCell++) {
+          (this.cells.get(cellKey(latCell, lonCell)) || []).forEach(entry => {
+            if (entry.lat >= minLat && entry.lat <= maxLat && entry.lon >= minLon && entry.lon <= maxLon
+              && predicate(entry)) {
+              found.add(entry);
+            }
+          });
+        }
+      }
+    });
+    return [...found];
+  }
+}
+
+module.exports = new AirportIndex();
@@ -1,75 +1,529 @@
-const { query } = require('../config/database');
+const { query, getClient } = require('../config/database');
+const { getSpatialBackend, buildKnnOrderSQL, buildRadiusFilterSQL } = require('../config/spatial');
+const { FUZZY_THRESHOLD, normalizeSQL, hasFuzzySearch } = require('../config/search');
+const geo = require('../utils/geo');
+const airportIndex = require('./airportIndex');
+const datasetVersion = require('./datasetVersion');
+const { getCacheStore } = require('../config/cache');
 
-// Fonction helper pour formater un aéroport
-const formatAirport = (airport, includeDistance = false) => ({
+// Statut d'exploitation d'un aéroport, déduit de son type
+const airportStatus = (type) => (type === 'closed' ? 'closed' : 'operational');
+
+// Fonction helper pour formater un aéroport (distance en km, altitude en pieds, converties par les routes)
+const formatAirport = (airport, includeDistance = false, includeScore = false) => ({
   icao: airport.icao,
+  ident: airport.ident,
+  icaoCode: airport.icao_code,
+  iata: airport.iata_code,
+  gpsCode: airport.gps_code,
+  localCode: airport.local_code,
   name: airport.name,
   lat: parseFloat(airport.latitude),
   lon: parseFloat(airport.longitude),
   city: airport.city,
+  region: airport.region,
   country: airport.country,
-  elevation: airport.elevation,
+  continent: airport.continent,
+  scheduledService: airport.scheduled_service,
+  elevation: airport.elevation_ft,
   type: airport.type,
-  ...(includeDistance && { distance: parseFloat(airport.distance) })
+  status: airportStatus(airport.type),
+  ...(includeDistance && { distance: parseFloat(airport.distance) }),
+  ...(includeScore && { score: Math.round(parseFloat(airport.score) * 1000) / 1000 })
+});
+
+// Fonction helper pour formater une extrémité de piste (prefix: 'le' ou 'he')
+const formatRunwayEnd = (runway, prefix) => ({
+  ident: runway[`${prefix}_ident`],
+  lat: runway[`${prefix}_latitude`] !== null ? parseFloat(runway[`${prefix}_latitude`]) : null,
+  lon: runway[`${prefix}_longitude`] !== null ? parseFloat(runway[`${prefix}_longitude`]) : null,
+  elevationFt: runway[`${prefix}_elevation_ft`],
+  heading: runway[`${prefix}_heading`] !== null ? parseFloat(runway[`${prefix}_heading`]) : null,
+  displacedThresholdFt: runway[`${prefix}_displaced_threshold_ft`]
+});
+
+// Fonction helper pour formater une piste
+const formatRunway = (runway) => ({
+  id: runway.id,
+  lengthFt: runway.length_ft,
+  widthFt: runway.width_ft,
+  surface: runway.surface,
+  lighted: runway.lighted,
+  closed: runway.closed,
+  ends: [formatRunwayEnd(runway, 'le'), formatRunwayEnd(runway, 'he')]
+});
+
+// Fonction helper pour formater une fréquence
+const formatFrequency = (frequency) => ({
+  type: frequency.type,
+  description: frequency.description,
+  frequencyMhz: parseFloat(frequency.frequency_mhz)
 });
 
-// Requête SQL commune pour la recherche géographique
-const buildGeoQuery = (includeDistance = true) => `
+// Fonction helper pour formater une balise de radionavigation
+const formatNavaid = (navaid) => ({
+  ident: navaid.ident,
+  name: navaid.name,
+  type: navaid.type,
+  frequencyKhz: navaid.frequency_khz,
+  lat: navaid.latitude !== null ? parseFloat(navaid.latitude) : null,
+  lon: navaid.longitude !== null ? parseFloat(navaid.longitude) : null,
+  elevationFt: navaid.elevation_ft,
+  dmeChannel: navaid.dme_channel,
+  magneticVariation: navaid.magnetic_variation_deg !== null ? parseFloat(navaid.magnetic_variation_deg) : null,
+  usageType: navaid.usage_type,
+  power: navaid.power
+});
+
+// Expression SQL de la distance (km) entre un point et un aéroport
+const buildDistanceSQL = (latRef = '$1::float8', lonRef = '$2::float8') => geo.distanceSQL(latRef, lonRef);
+
+// Colonnes lues pour formatAirport
+const AIRPORT_COLUMNS = `icao, ident, icao_code, iata_code, gps_code, local_code, name, latitude, longitude,
+    city, region, country, continent, scheduled_service, elevation_ft, type`;
+
+// Requête SQL commune pour la recherche géographique (source : table airports ou révisions à une date)
+const buildGeoQuery = (includeDistance = true, source = 'airports') => `
   SELECT 
-    icao, name, latitude, longitude, city, country, elevation, type
-    ${includeDistance ? `, (6371 * acos(cos(radians($1)) * cos(radians(latitude)) * 
-      cos(radians(longitude) - radians($2)) + sin(radians($1)) * sin(radians(latitude)))) AS distance` : ''}
-  FROM airports
+    ${AIRPORT_COLUMNS}
+    ${includeDistance ? `, ${buildDistanceSQL()} AS distance` : ''}
+  FROM ${source}
 `;
 
-class AirportService {
+// Révisions de airport_history en vigueur à la date $n, sous l'alias airports
+const historyAsOfSQL = (n) => `(
+    SELECT * FROM airport_history
+    WHERE valid_from <= $${n} AND (valid_to IS NULL OR valid_to > $${n})
+  ) airports`;
 
-  /**
-   * Trouve l'aéroport le plus proche d'une localisation
-   */
-  async findNearestAirport(lat, lon, maxDistance = Infinity, types = ['large_airport', 'medium_airport', 'small_airport']) {
-    const latRange = maxDistance === Infinity ? 90 : maxDistance / 111;
-    const lonRange = maxDistance === Infinity ? 180 : maxDistance / (111 * Math.cos(lat * Math.PI / 180));
+// Borne de validité d'une révision (null pour -infinity / infinity)
+const formatValidity = (date) => (date instanceof Date ? date.toISOString() : null);
 
-    const typeFilter = types.length > 0 ? `AND type = ANY($5)` : '';
-    const params = types.length > 0 
-      ? [lat, lon, latRange, lonRange, types]
-      : [lat, lon, latRange, lonRange];
+// Ajoute une boîte lat/lon à la liste en la découpant si elle déborde de l'antiméridien
+const pushLonWrappedBox = (boxes, minLat, maxLat, west, east) => {
+  if (east - west >= 360) {
+    boxes.push({ minLat, maxLat, minLon: -180, maxLon: 180 });
+  } else if (west < -180) {
+    boxes.push({ minLat, maxLat, minLon: west + 360, maxLon: 180 });
+    boxes.push({ minLat, maxLat, minLon: -180, maxLon: east });
+  } else if (east > 180) {
+    boxes.push({ minLat, maxLat, minLon: west, maxLon: 180 });
+    boxes.push({ minLat, maxLat, minLon: -180, maxLon: east - 360 });
+  } else {
+    boxes.push({ minLat, maxLat, minLon: west, maxLon: east });
+  }
+};
 
-    const result = await query(
-      `${buildGeoQuery()} 
-       WHERE latitude BETWEEN $1 - $3 AND $1 + $3 
-         AND longitude BETWEEN $2 - $4 AND $2 + $4
-         ${typeFilter}
-       ORDER BY distance LIMIT 1`,
-      params
-    );
+/**
+ * Calcule la boîte de recherche autour d'un point
+ * La boîte est bornée aux pôles (toutes longitudes si le cercle contient un pôle) et
+ * découpée en deux plages de longitudes lorsqu'elle traverse l'antiméridien.
+ * @returns {{minLat: number, maxLat: number, lonRanges: Array<Array<number|null>>}}
+ *   Deux plages [min, max], la seconde à [null, null] si inutile
+ */
+const buildSearchBox = (lat, lon, maxDistance) => {
+  const fullLon = { lonRanges: [[-180, 180], [null, null]] };
+  if (maxDistance === Infinity) {
+    return { minLat: -90, maxLat: 90, ...fullLon };
+  }
 
-    if (result.rows.length === 0 || (maxDistance !== Infinity && result.rows[0].distance > maxDistance)) {
-      return null;
+  const angular = maxDistance / geo.EARTH_RADIUS_KM;
+  const latRange = geo.toDegrees(angular);
+  const minLat = Math.max(-90, lat - latRange);
+  const maxLat = Math.min(90, lat + latRange);
+
+  // Un pôle est dans le cercle de recherche : toutes les longitudes sont possibles
+  if (minLat <= -90 || maxLat >= 90 || Math.sin(angular) >= Math.cos(geo.toRadians(lat))) {
+    return { minLat, maxLat, ...fullLon };
+  }
+
+  const lonRange = geo.toDegrees(Math.asin(Math.sin(angular) / Math.cos(geo.toRadians(lat))));
+  const boxes = [];
+  pushLonWrappedBox(boxes, minLat, maxLat, lon - lonRange, lon + lonRange);
+
+  const lonRanges = boxes.map(b => [b.minLon, b.maxLon]);
+  if (lonRanges.length === 1) lonRanges.push([null, null]);
+  return { minLat, maxLat, lonRanges };
+};
+
+/**
+ * Construit la condition de proximité et le tri d'une recherche autour de ($1, $2)
+ * Les paramètres nécessaires sont ajoutés à params.
+ * @param {string} backend - Backend spatial (postgis, earthdistance ou none)
+ * @returns {{where: string, orderBy: string}} Fragments SQL
+ */
+const buildProximityFilter = (backend, params, lat, lon, maxDistance) => {
+  if (backend === 'none') {
+    const { minLat, maxLat, lonRanges } = buildSearchBox(lat, lon, maxDistance);
+    const first = params.length + 1;
+    params.push(minLat, maxLat, ...lonRanges[0], ...lonRanges[1]);
+    return {
+      where: `latitude BETWEEN $${first} AND $${first + 1}
+         AND (longitude BETWEEN $${first + 2} AND $${first + 3} OR longitude BETWEEN $${first + 4} AND $${first + 5})`,
+      orderBy: 'distance'
+    };
+  }
+
+  let where = 'TRUE';
+  if (maxDistance !== Infinity) {
+    params.push(maxDistance);
+    where = buildRadiusFilterSQL(backend, '$1::float8', '$2::float8', `$${params.length}`);
+  }
+  return { where, orderBy: buildKnnOrderSQL(backend, '$1::float8', '$2::float8') };
+};
+
+// Classification des revêtements de piste (champ libre OurAirports : ASP, CON, Asphalt, GRS, Turf...)
+const PAVED_SURFACE_PATTERN = '^(asp|con|bit|pem|tar|pav|mac)';
+const WATER_SURFACE_PATTERN = '^wat';
+const SURFACE_CONDITIONS = {
+  paved: `r.surface ~* '${PAVED_SURFACE_PATTERN}'`,
+  unpaved: `r.surface IS NOT NULL AND r.surface !~* '${PAVED_SURFACE_PATTERN}' AND r.surface !~* '${WATER_SURFACE_PATTERN}'`,
+  water: `r.surface ~* '${WATER_SURFACE_PATTERN}'`
+};
+
+/**
+ * Construit la condition SQL « au moins une piste ouverte satisfait tous les critères »
+ * Les paramètres nécessaires sont ajoutés à params.
+ * @param {{minRunwayLength?: number, surface?: string, lighted?: boolean}} filters - Longueur en mètres, lighted false : piste non balisée
+ * @param {Array} params - Paramètres de la requête en cours de construction
+ * @returns {string} Condition SQL (vide si aucun filtre)
+ */
+const buildRunwayFilter = (filters = {}, params) => {
+  const conditions = [];
+
+  if (filters.minRunwayLength) {
+    params.push(filters.minRunwayLength);
+    conditions.push(`r.length_ft * 0.3048 >= $${params.length}`);
+  }
+  if (filters.surface) {
+    conditions.push(SURFACE_CONDITIONS[filters.surface]);
+  }
+  if (filters.lighted !== undefined) {
+    conditions.push(filters.lighted ? 'r.lighted' : 'NOT r.lighted');
+  }
+
+  if (conditions.length === 0) return '';
+
+  return `AND EXISTS (
+         SELECT 1 FROM runways r
+         WHERE r.airport_ident = airports.ident AND NOT r.closed
+           AND ${conditions.join(' AND ')}
+       )`;
+};
+
+// Filtre de types par défaut : aéroports (hors hélistations, hydrobases...), aéroports fermés exclus
+const DEFAULT_TYPE_FILTER = { include: ['large_airport', 'medium_airport', 'small_airport'], exclude: ['closed'] };
+
+// Filtre de types des listes, recherches par nom et tuiles : tous les types sauf les aéroports fermés
+const OPEN_TYPES_FILTER = { include: null, exclude: ['closed'] };
+
+/**
+ * Construit la condition SQL sur le type d'aéroport
+ * Les paramètres nécessaires sont ajoutés à params.
+ * @param {{include?: string[]|null, exclude?: string[]}} typeFilter - include null : tous les types
+ * @param {Array} params - Paramètres de la requête en cours de construction
+ * @returns {string} Condition SQL (vide si aucun filtre)
+ */
+const buildTypeFilter = (typeFilter = DEFAULT_TYPE_FILTER, params) => {
+  const conditions = [];
+
+  if (typeFilter.include) {
+    params.push(typeFilter.include);
+    conditions.push(`AND type = ANY($${params.length})`);
+  }
+  if (typeFilter.exclude && typeFilter.exclude.length > 0) {
+    params.push(typeFilter.exclude);
+    conditions.push(`AND COALESCE(type, '') <> ALL($${params.length})`);
+  }
+
+  return conditions.join(' ');
+};
+
+// Équivalent en mémoire de buildTypeFilter
+const matchesTypeFilter = (type, typeFilter = DEFAULT_TYPE_FILTER) =>
+  (!typeFilter.include || typeFilter.include.includes(type))
+  && !(typeFilter.exclude || []).includes(type || '');
+
+// Vrai si un critère de piste est demandé (la recherche passe alors par PostgreSQL)
+const hasRunwayFilters = (filters = {}) => Boolean(filters.minRunwayLength || filters.surface || filters.lighted !== undefined);
+
+// Rayon initial (km) de la recherche en mémoire, multiplié par 4 tant que les résultats manquent
+const MEMORY_SEARCH_RADIUS_KM = 25;
+
+// Au-delà de la demi-circonférence terrestre, le cercle couvre toute la Terre
+const MAX_SEARCH_RADIUS_KM = Math.PI * geo.EARTH_RADIUS_KM;
+
+/**
+ * Trouve les N aéroports les plus proches dans l'index en mémoire
+ * Le rayon de recherche croît jusqu'à contenir limit aéroports (ou maxDistance) : les aéroports
+ * de la boîte de buildSearchBox plus proches que le rayon sont alors exactement les plus proches.
+ * @returns {Array<Object>} Aéroports formatés comme par le chemin SQL, triés par distance
+ */
+const findNearestInMemory = (lat, lon, limit, maxDistance, typeFilter) => {
+  let radius = Math.min(MEMORY_SEARCH_RADIUS_KM, maxDistance);
+  for (;;) {
+    const { minLat, maxLat, lonRanges } = buildSearchBox(lat, lon, radius >= MAX_SEARCH_RADIUS_KM ? Infinity : radius);
+    const boxes = lonRanges
+      .filter(([minLon]) => minLon !== null)
+      .map(([minLon, maxLon]) => ({ minLat, maxLat, minLon, maxLon }));
+
+    const found = airportIndex.findInBoxes(boxes, entry => matchesTypeFilter(entry.type, typeFilter))
+      .map(entry => ({ entry, distance: geo.distance(lat, lon, entry.lat, entry.lon) }))
+      .filter(({ distance }) => distance <= radius);
+
+    // Un rayon non fini (maxDistance invalide) arrête aussi la recherche
+    if (found.length >= limit || radius >= maxDistance || radius >= MAX_SEARCH_RADIUS_KM || !Number.isFinite(radius)) {
+      return found
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ entry, distance }) => ({ ...entry.airport, distance }));
+    }
+    radius = Math.min(radius * 4, maxDistance);
+  }
+};
+
+// Rang d'un type d'aéroport pour départager plusieurs correspondances (grands aéroports d'abord)
+const TYPE_RANK_SQL = `CASE type
+    WHEN 'large_airport' THEN 1 WHEN 'medium_airport' THEN 2 WHEN 'small_airport' THEN 3
+    WHEN 'closed' THEN 9 ELSE 5 END`;
+
+// Équivalent en mémoire de TYPE_RANK_SQL
+const TYPE_RANKS = new Map([['large_airport', 1], ['medium_airport', 2], ['small_airport', 3], ['closed', 9]]);
+const typeRank = (type) => TYPE_RANKS.get(type) || 5;
+
+// Échappe les caractères spéciaux d'un motif LIKE
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Colonnes de tri autorisées pour la liste des aéroports (expressions non nulles pour la pagination)
+const LIST_SORT_COLUMNS = {
+  icao: 'icao',
+  name: 'name',
+  city: "COALESCE(city, '')",
+  country: "COALESCE(country, '')"
+};
+
+// Curseur de pagination opaque : dernière valeur de tri et dernier id de la page
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isInteger(id) ? { value: String(value), id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Nombre maximum de points résolus par requête SQL en mode batch
+const BATCH_CHUNK_SIZE = 500;
+
+// Longueur maximale (km) d'un tronçon de route couvert par une seule boîte de recherche
+const ROUTE_SEGMENT_KM = 200;
+
+// Découpe l'orthodromie en tronçons et calcule une boîte de recherche élargie par tronçon
+const buildRouteBoxes = (from, to, width) => {
+  const total = geo.distance(from.lat, from.lon, to.lat, to.lon);
+  const segments = Math.max(1, Math.ceil(total / ROUTE_SEGMENT_KM));
+  const latMargin = width / 111;
+  const boxes = [];
+
+  let previous = from;
+  for (let i = 1; i <= segments; i++) {
+    const next = geo.intermediatePoint(from.lat, from.lon, to.lat, to.lon, i / segments);
+    const minLat = Math.max(-90, Math.min(previous.lat, next.lat) - latMargin);
+    const maxLat = Math.min(90, Math.max(previous.lat, next.lat) + latMargin);
+    const maxAbsLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+
+    // Longitude de fin « dépliée » pour que le tronçon reste continu à travers l'antiméridien
+    let nextLon = next.lon;
+    if (nextLon - previous.lon > 180) nextLon -= 360;
+    if (nextLon - previous.lon < -180) nextLon += 360;
+
+    if (maxAbsLat >= 89) {
+      boxes.push({ minLat, maxLat, minLon: -180, maxLon: 180 });
+    } else {
+      const lonMargin = width / (111 * Math.cos(geo.toRadians(maxAbsLat)));
+      pushLonWrappedBox(
+        boxes, minLat, maxLat,
+        Math.min(previous.lon, nextLon) - lonMargin,
+        Math.max(previous.lon, nextLon) + lonMargin
+      );
+    }
+
+    previous = next;
+  }
+
+  return boxes;
+};
+
+// Types affichés sur les tuiles selon le zoom : [zoom minimal, types] (null = tous les types, hors aéroports fermés sauf includeClosed)
+const TILE_TYPES_BY_ZOOM = [
+  [11, null],
+  [8, ['large_airport', 'medium_airport', 'small_airport', 'seaplane_base']],
+  [5, ['large_airport', 'medium_airport']],
+  [0, ['large_airport']]
+];
+
+// Jusqu'à ce zoom, les aéroports proches sont regroupés sur une grille de TILE_CLUSTER_GRID² cellules par tuile
+const TILE_CLUSTER_MAX_ZOOM = 12;
+const TILE_CLUSTER_GRID = 64;
+
+// Durée de vie des entrées du cache des recherches (secondes)
+const CACHE_TTL = parseInt(process.env.CACHE_TTL) || 3600;
+
+// Décimales conservées des coordonnées des recherches (4 : environ 11 m), pour partager le cache
+const CACHE_COORDINATE_PRECISION = process.env.CACHE_COORDINATE_PRECISION !== undefined
+  ? parseInt(process.env.CACHE_COORDINATE_PRECISION)
+  : 4;
+
+const roundPoint = ({ lat, lon }) => {
+  const factor = 10 ** CACHE_COORDINATE_PRECISION;
+  return { lat: Math.round(lat * factor) / factor, lon: Math.round(lon * factor) / factor };
+};
+
+// Filtre de types indépendant de l'ordre des listes (clé de cache)
+const normalizeTypeFilter = (typeFilter = DEFAULT_TYPE_FILTER) => ({
+  include: typeFilter.include ? [...typeFilter.include].sort() : null,
+  exclude: [...(typeFilter.exclude || [])].sort()
+});
+
+// Lectures du cache depuis le démarrage (GET /metrics)
+const cacheStats = { hits: 0, misses: 0 };
+
+/**
+ * Résultat d'une recherche, lu dans le cache ou calculé puis mis en cache
+ * La clé commence par la version des données : un import invalide tout le cache. Sans version
+ * connue (aucun import suivi), rien n'est mis en cache. Un store indisponible ou mal configuré n'empêche pas la recherche.
+ * @param {string} name - Type de recherche
+ * @param {Array} keyParts - Paramètres normalisés de la recherche
+ * @param {Function} compute - Recherche à effectuer si la clé est absente du cache
+ */
+const cached = async (name, keyParts, compute) => {
+  const version = datasetVersion.current;
+  if (!version) {
+    return compute();
+  }
+
+  const key = `v${version.id}:${name}:${JSON.stringify(keyParts)}`;
+  let store = null;
+  try {
+    store = getCacheStore();
+    const hit = await store.get(key);
+    if (hit !== undefined) {
+      cacheStats.hits++;
+      return JSON.parse(hit);
     }
+  } catch (error) {
+    console.error('Lecture du cache impossible:', error.message);
+  }
+
+  cacheStats.misses++;
+  const value = await compute();
+  if (store) {
+    Promise.resolve()
+      .then(() => store.set(key, JSON.stringify(value), CACHE_TTL))
+      .catch(error => console.error('Écriture du cache impossible:', error.message));
+  }
+  return value;
+};
+
+// Position en pixels Web Mercator pour une carte de size pixels de côté
+const mercatorXSQL = (size) => `floor((longitude::float8 + 180) / 360 * ${size})`;
+const mercatorYSQL = (size) => `floor((1 - ln(tan(radians(latitude::float8)) + 1 / cos(radians(latitude::float8))) / pi()) / 2 * ${size})`;
+const mercatorX = (lon, size) => Math.floor((lon + 180) / 360 * size);
+const mercatorY = (lat, size) => {
+  const radians = geo.toRadians(lat);
+  return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * size);
+};
 
-    return formatAirport(result.rows[0], true);
+// Comparaison des codes ICAO (départage des tris, comme ORDER BY icao)
+const compareIcao = (a, b) => (a.icao < b.icao ? -1 : (a.icao > b.icao ? 1 : 0));
+
+/**
+ * Regroupe en mémoire les aéroports d'une tuile, comme la requête SQL de queryTileAirports
+ * Le représentant d'une cellule est le plus important (type, vols réguliers, puis ICAO).
+ * @param {Array<Object>} airports - Aéroports formatés de la tuile
+ * @param {number} size - Taille en cellules de la carte entière au zoom de la tuile
+ */
+const clusterTileAirports = (airports, size) => {
+  const cells = new Map();
+  airports.forEach(airport => {
+    const [cellX, cellY] = [mercatorX(airport.lon, size), mercatorY(airport.lat, size)];
+    const key = `${cellX}:${cellY}`;
+    if (!cells.has(key)) cells.set(key, { cellX, cellY, airports: [] });
+    cells.get(key).airports.push(airport);
+  });
+
+  return [...cells.values()]
+    .sort((a, b) => a.cellX - b.cellX || a.cellY - b.cellY)
+    .map(cell => {
+      const [airport] = cell.airports.sort((a, b) => typeRank(a.type) - typeRank(b.type)
+        || Number(b.scheduledService) - Number(a.scheduledService)
+        || compareIcao(a, b));
+      const count = cell.airports.length;
+      if (count === 1) {
+        return { count, lat: airport.lat, lon: airport.lon, airport };
+      }
+      const average = (key) => cell.airports.reduce((sum, a) => sum + a[key], 0) / count;
+      return { count, lat: Math.round(average('lat') * 1e5) / 1e5, lon: Math.round(average('lon') * 1e5) / 1e5, airport };
+    });
+};
+
+class AirportService {
+
+  /**
+   * Trouve l'aéroport le plus proche d'une localisation
+   * runwayFilters restreint aux aéroports ayant au moins une piste ouverte compatible
+   * asOf (Date) recherche parmi les aéroports tels qu'ils étaient à cette date
+   * typeFilter : { include, exclude } (include null pour tous les types), aéroports fermés exclus par défaut
+   */
+  async findNearestAirport(lat, lon, maxDistance = Infinity, typeFilter = DEFAULT_TYPE_FILTER, runwayFilters = {}, asOf = null) {
+    const [airport] = await this.findNearestAirports(lat, lon, 1, maxDistance, typeFilter, runwayFilters, asOf);
+    return airport || null;
   }
 
   /**
    * Trouve les N aéroports les plus proches
+   * Avec PostGIS ou earthdistance, le tri KNN utilise l'index GiST ; sinon boîte lat/lon.
+   * Avec asOf, la recherche porte sur l'historique (boîte lat/lon, pas d'index KNN) ;
+   * les pistes utilisées par runwayFilters restent celles du jeu de données actuel.
+   * Avec l'index en mémoire (AIRPORT_INDEX=memory), la recherche n'interroge pas PostgreSQL,
+   * sauf avec asOf ou runwayFilters.
+   * Les coordonnées sont arrondies à CACHE_COORDINATE_PRECISION décimales et le résultat est mis en cache.
    */
-  async findNearestAirports(lat, lon, limit = 5, maxDistance = Infinity, types = ['large_airport', 'medium_airport', 'small_airport']) {
-    const latRange = maxDistance === Infinity ? 90 : maxDistance / 111;
-    const lonRange = maxDistance === Infinity ? 180 : maxDistance / (111 * Math.cos(lat * Math.PI / 180));
+  async findNearestAirports(lat, lon, limit = 5, maxDistance = Infinity, typeFilter = DEFAULT_TYPE_FILTER, runwayFilters = {}, asOf = null) {
+    const point = roundPoint({ lat, lon });
+    return cached(
+      'nearest',
+      [point.lat, point.lon, limit, maxDistance, normalizeTypeFilter(typeFilter), runwayFilters, asOf],
+      () => this.queryNearestAirports(point.lat, point.lon, limit, maxDistance, typeFilter, runwayFilters, asOf)
+    );
+  }
+
+  // Recherche des plus proches, sans cache (voir findNearestAirports)
+  async queryNearestAirports(lat, lon, limit, maxDistance, typeFilter, runwayFilters, asOf) {
+    if (airportIndex.isReady() && !asOf && !hasRunwayFilters(runwayFilters)) {
+      return findNearestInMemory(lat, lon, limit, maxDistance, typeFilter);
+    }
+
+    const backend = asOf ? 'none' : await getSpatialBackend();
+    const params = [lat, lon, limit];
+    const proximity = buildProximityFilter(backend, params, lat, lon, maxDistance);
+
+    let source = 'airports';
+    if (asOf) {
+      params.push(asOf);
+      source = historyAsOfSQL(params.length);
+    }
 
-    const typeFilter = types.length > 0 ? `AND type = ANY($6)` : '';
-    const params = types.length > 0 
-      ? [lat, lon, latRange, lonRange, limit, types]
-      : [lat, lon, latRange, lonRange, limit];
+    const typeCondition = buildTypeFilter(typeFilter, params);
+    const runwayFilter = buildRunwayFilter(runwayFilters, params);
 
     const result = await query(
-      `${buildGeoQuery()} 
-       WHERE latitude BETWEEN $1 - $3 AND $1 + $3 
-         AND longitude BETWEEN $2 - $4 AND $2 + $4
-         ${typeFilter}
-       ORDER BY distance LIMIT $5`,
+      `${buildGeoQuery(true, source)} 
+       WHERE ${proximity.where}
+         ${typeCondition}
+         ${runwayFilter}
+       ORDER BY ${proximity.orderBy} LIMIT $3`,
       params
     );
 
@@ -78,35 +532,550 @@ class AirportService {
       .map(a => formatAirport(a, true));
   }
 
+  /**
+   * Trouve l'aéroport le plus proche pour chaque point d'une liste
+   * Les points partageant le même filtre de types sont résolus ensemble via unnest + LATERAL,
+   * par paquets de BATCH_CHUNK_SIZE, au lieu d'une requête par point (ou dans l'index en mémoire).
+   * @param {Array<{lat: number, lon: number, maxDistance?: number, typeFilter?: Object}>} points
+   * @returns {Promise<Array<Object|null>>} Aéroports dans l'ordre des points (null si aucun)
+   */
+  async findNearestAirportBatch(points) {
+    if (airportIndex.isReady()) {
+      return points.map(point => findNearestInMemory(
+        point.lat, point.lon, 1, point.maxDistance ?? Infinity, point.typeFilter || DEFAULT_TYPE_FILTER
+      )[0] || null);
+    }
+
+    const backend = await getSpatialBackend();
+    const results = new Array(points.length).fill(null);
+
+    // Regrouper les points par filtre de types
+    const groups = new Map();
+    points.forEach((point, index) => {
+      const typeFilter = point.typeFilter || DEFAULT_TYPE_FILTER;
+      const key = JSON.stringify(typeFilter);
+      if (!groups.has(key)) groups.set(key, { typeFilter, indexes: [] });
+      groups.get(key).indexes.push(index);
+    });
+
+    // Condition de proximité et tri évalués pour chaque point p
+    const proximity = backend === 'none'
+      ? {
+        where: `latitude BETWEEN p.min_lat AND p.max_lat
+               AND (longitude BETWEEN p.min_lon1 AND p.max_lon1 OR longitude BETWEEN p.min_lon2 AND p.max_lon2)`,
+        orderBy: 'distance'
+      }
+      : {
+        where: `(p.max_distance IS NULL OR ${buildRadiusFilterSQL(backend, 'p.lat', 'p.lon', 'p.max_distance')})`,
+        orderBy: buildKnnOrderSQL(backend, 'p.lat', 'p.lon')
+      };
+
+    for (const { typeFilter, indexes } of groups.values()) {
+      for (let i = 0; i < indexes.length; i += BATCH_CHUNK_SIZE) {
+        const chunk = indexes.slice(i, i + BATCH_CHUNK_SIZE);
+        const boxes = chunk.map(index =>
+          buildSearchBox(points[index].lat, points[index].lon, points[index].maxDistance ?? Infinity));
+
+        const params = [
+          chunk,
+          chunk.map(index => points[index].lat),
+          chunk.map(index => points[index].lon),
+          chunk.map(index => (points[index].maxDistance ?? Infinity) === Infinity ? null : points[index].maxDistance),
+          boxes.map(box => box.minLat),
+          boxes.map(box => box.maxLat),
+          boxes.map(box => box.lonRanges[0][0]),
+          boxes.map(box => box.lonRanges[0][1]),
+          boxes.map(box => box.lonRanges[1][0]),
+          boxes.map(box => box.lonRanges[1][1])
+        ];
+        const typeCondition = buildTypeFilter(typeFilter, params);
+
+        const result = await query(
+          `SELECT p.idx, a.*
+           FROM unnest($1::int[], $2::float8[], $3::float8[], $4::float8[], $5::float8[], $6::float8[],
+             $7::float8[], $8::float8[], $9::float8[], $10::float8[])
+             AS p(idx, lat, lon, max_distance, min_lat, max_lat, min_lon1, max_lon1, min_lon2, max_lon2)
+           CROSS JOIN LATERAL (
+             SELECT ${AIRPORT_COLUMNS}, ${buildDistanceSQL('p.lat', 'p.lon')} AS distance
+             FROM airports
+             WHERE ${proximity.where}
+               ${typeCondition}
+             ORDER BY ${proximity.orderBy} LIMIT 1
+           ) a`,
+          params
+        );
+
+        result.rows.forEach(row => {
+          const maxDistance = points[row.idx].maxDistance ?? Infinity;
+          if (maxDistance === Infinity || parseFloat(row.distance) <= maxDistance) {
+            results[row.idx] = formatAirport(row, true);
+          }
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Trouve les aéroports situés dans un couloir autour de l'orthodromie entre deux points
+   * Les candidats sont présélectionnés par boîtes successives le long de la route (en SQL ou
+   * dans l'index en mémoire), puis les distances transversale et le long de la route sont calculées précisément.
+   * @param {{lat: number, lon: number}} from - Point de départ
+   * @param {{lat: number, lon: number}} to - Point d'arrivée
+   * @param {number} width - Demi-largeur du couloir en km
+   * @returns {Promise<Array<Object>>} Aéroports triés par distance le long de la route
+   */
+  async findAirportsAlongRoute(from, to, width, typeFilter = DEFAULT_TYPE_FILTER, limit = 100) {
+    const [start, end] = [roundPoint(from), roundPoint(to)];
+    return cached(
+      'route',
+      [start.lat, start.lon, end.lat, end.lon, width, normalizeTypeFilter(typeFilter), limit],
+      () => this.queryAirportsAlongRoute(start, end, width, typeFilter, limit)
+    );
+  }
+
+  // Recherche le long d'une route, sans cache (voir findAirportsAlongRoute)
+  async queryAirportsAlongRoute(from, to, width, typeFilter, limit) {
+    const boxes = buildRouteBoxes(from, to, width);
+    const total = geo.distance(from.lat, from.lon, to.lat, to.lon);
+
+    let candidates;
+    if (airportIndex.isReady()) {
+      candidates = airportIndex.findInBoxes(boxes, entry => matchesTypeFilter(entry.type, typeFilter))
+        .map(entry => entry.airport);
+    } else {
+      const params = [
+        boxes.map(b => b.minLat),
+        boxes.map(b => b.maxLat),
+        boxes.map(b => b.minLon),
+        boxes.map(b => b.maxLon)
+      ];
+      const typeCondition = buildTypeFilter(typeFilter, params);
+
+      const result = await query(
+        `${buildGeoQuery(false)}
+         WHERE EXISTS (
+           SELECT 1 FROM unnest($1::float8[], $2::float8[], $3::float8[], $4::float8[])
+             AS b(min_lat, max_lat, min_lon, max_lon)
+           WHERE latitude BETWEEN b.min_lat AND b.max_lat
+             AND longitude BETWEEN b.min_lon AND b.max_lon
+         )
+         ${typeCondition}`,
+        params
+      );
+      candidates = result.rows.map(row => formatAirport(row));
+    }
+
+    return candidates
+      .map(airport => {
+        const crossTrack = geo.crossTrackDistance(airport.lat, airport.lon, from.lat, from.lon, to.lat, to.lon);
+        const alongTrack = geo.alongTrackDistance(airport.lat, airport.lon, from.lat, from.lon, to.lat, to.lon);
+
+        // Distance au segment : au-delà des extrémités, c'est la distance au départ ou à l'arrivée
+        let distance = Math.abs(crossTrack);
+        if (alongTrack < 0) distance = geo.distance(from.lat, from.lon, airport.lat, airport.lon);
+        else if (alongTrack > total) distance = geo.distance(to.lat, to.lon, airport.lat, airport.lon);
+
+        return { ...airport, distance, crossTrack, alongTrack };
+      })
+      .filter(a => a.distance <= width)
+      .sort((a, b) => a.alongTrack - b.alongTrack)
+      .slice(0, limit);
+  }
+
   /**
    * Recherche un aéroport par son code ICAO
+   * asOf (Date) retourne la révision en vigueur à cette date (aéroport renommé, fermé ou supprimé depuis)
    */
-  async findByICAO(icao) {
+  async findByICAO(icao, asOf = null) {
     const result = await query(
-      `${buildGeoQuery(false)} WHERE LOWER(icao) = LOWER($1) LIMIT 1`,
+      `${buildGeoQuery(false, asOf ? historyAsOfSQL(2) : 'airports')} WHERE LOWER(icao) = LOWER($1) LIMIT 1`,
+      asOf ? [icao, asOf] : [icao]
+    );
+    return result.rows.length > 0 ? formatAirport(result.rows[0]) : null;
+  }
+
+  /**
+   * Révisions successives d'un code ICAO, de la plus ancienne à la plus récente
+   * @returns {Promise<Array<Object>>} Aéroports avec validFrom et validTo (null : borne ouverte)
+   */
+  async findHistory(icao) {
+    const result = await query(
+      `SELECT ${AIRPORT_COLUMNS}, valid_from, valid_to, import_id
+       FROM airport_history
+       WHERE LOWER(icao) = LOWER($1)
+       ORDER BY valid_from, id`,
       [icao]
     );
+    return result.rows.map(a => ({
+      ...formatAirport(a),
+      validFrom: formatValidity(a.valid_from),
+      validTo: formatValidity(a.valid_to),
+      importId: a.import_id
+    }));
+  }
+
+  /**
+   * Recherche un aéroport par son code IATA
+   * En cas de doublon (code réattribué), l'aéroport de plus grande catégorie est retenu
+   */
+  async findByIATA(iata) {
+    const result = await query(
+      `${buildGeoQuery(false)} WHERE LOWER(iata_code) = LOWER($1) ORDER BY ${TYPE_RANK_SQL} LIMIT 1`,
+      [iata]
+    );
+    return result.rows.length > 0 ? formatAirport(result.rows[0]) : null;
+  }
+
+  /**
+   * Recherche un aéroport par n'importe lequel de ses identifiants
+   * Priorité: icao, icao_code, ident, iata_code, gps_code puis local_code
+   */
+  async findByIdent(ident) {
+    const result = await query(
+      `${buildGeoQuery(false)}
+       WHERE LOWER(icao) = LOWER($1) OR LOWER(icao_code) = LOWER($1) OR LOWER(ident) = LOWER($1)
+          OR LOWER(iata_code) = LOWER($1) OR LOWER(gps_code) = LOWER($1) OR LOWER(local_code) = LOWER($1)
+       ORDER BY CASE
+         WHEN LOWER(icao) = LOWER($1) THEN 1
+         WHEN LOWER(icao_code) = LOWER($1) THEN 2
+         WHEN LOWER(ident) = LOWER($1) THEN 3
+         WHEN LOWER(iata_code) = LOWER($1) THEN 4
+         WHEN LOWER(gps_code) = LOWER($1) THEN 5
+         ELSE 6 END, ${TYPE_RANK_SQL}
+       LIMIT 1`,
+      [ident]
+    );
     return result.rows.length > 0 ? formatAirport(result.rows[0]) : null;
   }
 
   /**
-   * Recherche des aéroports par nom
+   * Liste les pistes d'un aéroport (par code ICAO)
+   * @returns {Promise<Array<Object>|null>} Pistes, ou null si l'aéroport est inconnu
+   */
+  async findRunways(icao) {
+    return this.findRelated(icao, 'runways', 'airport_ident', 'length_ft DESC NULLS LAST, id', formatRunway);
+  }
+
+  /**
+   * Liste les fréquences radio d'un aéroport (par code ICAO)
+   * @returns {Promise<Array<Object>|null>} Fréquences, ou null si l'aéroport est inconnu
+   */
+  async findFrequencies(icao) {
+    return this.findRelated(icao, 'airport_frequencies', 'airport_ident', 'type, frequency_mhz', formatFrequency);
+  }
+
+  /**
+   * Liste les balises de radionavigation associées à un aéroport (par code ICAO)
+   * @returns {Promise<Array<Object>|null>} Balises, ou null si l'aéroport est inconnu
    */
-  async searchByName(name, limit = 10) {
+  async findNavaids(icao) {
+    return this.findRelated(icao, 'navaids', 'associated_airport', 'type, ident', formatNavaid);
+  }
+
+  /**
+   * Récupère les lignes d'une table liée à un aéroport via son ident OurAirports
+   */
+  async findRelated(icao, table, column, orderBy, format) {
+    const airport = await query('SELECT ident FROM airports WHERE LOWER(icao) = LOWER($1) LIMIT 1', [icao]);
+    if (airport.rows.length === 0) {
+      return null;
+    }
+
     const result = await query(
-      `${buildGeoQuery(false)} 
-       WHERE LOWER(name) LIKE LOWER($1) OR LOWER(city) LIKE LOWER($1)
-       ORDER BY CASE WHEN LOWER(name) LIKE LOWER($2) THEN 1 WHEN LOWER(city) LIKE LOWER($2) THEN 2 ELSE 3 END, name
+      `SELECT * FROM ${table} WHERE ${column} = $1 ORDER BY ${orderBy}`,
+      [airport.rows[0].ident]
+    );
+    return result.rows.map(format);
+  }
+
+  /**
+   * Recherche des aéroports par nom, ville ou mots-clés
+   * Avec pg_trgm + unaccent : recherche floue insensible aux accents, triée par score de pertinence.
+   * Sinon : recherche partielle LIKE (nom, ville, mots-clés) avec un score indicatif.
+   * typeFilter : { include, exclude }, tous les types sauf les aéroports fermés par défaut
+   * @returns {Promise<Array<Object>>} Aéroports avec un champ score (0 à 1)
+   */
+  async searchByName(name, limit = 10, typeFilter = OPEN_TYPES_FILTER) {
+    if (!(await hasFuzzySearch())) {
+      const term = escapeLike(name);
+      const params = [`%${term}%`, `${term}%`, limit];
+      const typeCondition = buildTypeFilter(typeFilter, params);
+      const result = await query(
+        `SELECT ${AIRPORT_COLUMNS}, score
+         FROM airports, LATERAL (SELECT CASE
+             WHEN LOWER(name) LIKE LOWER($2) THEN 1
+             WHEN LOWER(city) LIKE LOWER($2) THEN 0.8
+             WHEN LOWER(name) LIKE LOWER($1) OR LOWER(city) LIKE LOWER($1) THEN 0.5
+             ELSE 0.4 END AS score) s
+         WHERE (LOWER(name) LIKE LOWER($1) OR LOWER(city) LIKE LOWER($1) OR LOWER(keywords) LIKE LOWER($1))
+           ${typeCondition}
+         ORDER BY score DESC, name
+         LIMIT $3`,
+        params
+      );
+      return result.rows.map(a => formatAirport(a, false, true));
+    }
+
+    const term = normalizeSQL('$1::text');
+    const [nameSQL, citySQL, keywordsSQL] = ['name', 'city', 'keywords'].map(normalizeSQL);
+    const params = [name, limit];
+    const typeCondition = buildTypeFilter(typeFilter, params);
+
+    // Le seuil de similarité est propre à la transaction (SET LOCAL)
+    const client = await getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${FUZZY_THRESHOLD}`);
+      const result = await client.query(
+        `SELECT * FROM (
+           SELECT ${AIRPORT_COLUMNS},
+             LEAST(1, GREATEST(
+               word_similarity(${term}, ${nameSQL}) + CASE WHEN ${nameSQL} LIKE ${term} || '%' THEN 0.2 ELSE 0 END,
+               word_similarity(${term}, ${citySQL}) * 0.9,
+               COALESCE(word_similarity(${term}, ${keywordsSQL}), 0) * 0.8
+             )) AS score
+           FROM airports
+           WHERE (${term} <% ${nameSQL} OR ${term} <% ${citySQL} OR ${term} <% ${keywordsSQL})
+             ${typeCondition}
+         ) a
+         ORDER BY score DESC, ${TYPE_RANK_SQL}, name
+         LIMIT $2`,
+        params
+      );
+      await client.query('COMMIT');
+      return result.rows.map(a => formatAirport(a, false, true));
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Liste les aéroports selon des filtres, avec tri et pagination par curseur
+   * @param {Object} filters - country, region, continent (listes), typeFilter, bbox, scheduledService
+   * @param {{sort?: string, desc?: boolean, cursor?: string, limit?: number}} options
+   * @returns {Promise<{airports: Array<Object>, nextCursor: string|null}>}
+   * @throws {Error} Curseur invalide (err.status = 400)
+   */
+  async listAirports(filters = {}, { sort = 'icao', desc = false, cursor, limit = 100 } = {}) {
+    const sortSQL = LIST_SORT_COLUMNS[sort];
+    const conditions = [];
+    const params = [];
+
+    // Codes stockés en majuscules : la colonne est comparée telle quelle pour utiliser son index
+    const addListFilter = (column, values) => {
+      if (values && values.length > 0) {
+        params.push(values.map(value => value.toUpperCase()));
+        conditions.push(`${column} = ANY($${params.length})`);
+      }
+    };
+    addListFilter('country', filters.country);
+    addListFilter('region', filters.region);
+    addListFilter('continent', filters.continent);
+
+    // Tous les types par défaut, hors aéroports fermés
+    const typeCondition = buildTypeFilter(filters.typeFilter || OPEN_TYPES_FILTER, params);
+    if (typeCondition) {
+      conditions.push(typeCondition.replace(/^AND /, ''));
+    }
+
+    if (filters.scheduledService !== undefined) {
+      params.push(filters.scheduledService);
+      conditions.push(`scheduled_service = $${params.length}`);
+    }
+
+    // bbox qui traverse l'antiméridien quand minLon > maxLon
+    if (filters.bbox) {
+      const { minLon, minLat, maxLon, maxLat } = filters.bbox;
+      params.push(minLat, maxLat, minLon, maxLon);
+      const n = params.length;
+      const lonCondition = minLon <= maxLon
+        ? `longitude BETWEEN $${n - 1} AND $${n}`
+        : `(longitude >= $${n - 1} OR longitude <= $${n})`;
+      conditions.push(`latitude BETWEEN $${n - 3} AND $${n - 2} AND ${lonCondition}`);
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        const error = new Error('Curseur de pagination invalide');
+        error.status = 400;
+        throw error;
+      }
+      params.push(position.value, position.id);
+      conditions.push(`(${sortSQL}, id) ${desc ? '<' : '>'} ($${params.length - 1}, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+    const direction = desc ? 'DESC' : 'ASC';
+    const result = await query(
+      `SELECT id, ${sortSQL} AS sort_value, ${AIRPORT_COLUMNS}
+       FROM airports
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ${sortSQL} ${direction}, id ${direction}
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+      airports: rows.map(a => formatAirport(a)),
+      nextCursor: result.rows.length > limit ? encodeCursor(last.sort_value, last.id) : null
+    };
+  }
+
+  /**
+   * Suggestions d'aéroports pour une saisie partielle (autocomplétion)
+   * Correspondance par préfixe sur ICAO, IATA, nom (ou un mot du nom) et ville.
+   * Un code exact passe en premier, puis les grands aéroports avant les petits.
+   * Les aéroports fermés sont exclus.
+   * @returns {Promise<Array<Object>>} Résultats compacts (icao, iata, name, city, country, type)
+   */
+  async autocomplete(q, limit = 10) {
+    const normalize = (await hasFuzzySearch()) ? normalizeSQL : (expr) => `LOWER(${expr})`;
+    const term = normalize('$2::text');
+    const [nameSQL, citySQL] = ['name', 'city'].map(normalize);
+
+    const result = await query(
+      `SELECT icao, iata_code, name, city, country, type,
+         CASE
+           WHEN LOWER(icao) = LOWER($1) OR LOWER(iata_code) = LOWER($1) THEN 0
+           WHEN LOWER(icao) LIKE LOWER($2) || '%' OR LOWER(iata_code) LIKE LOWER($2) || '%' THEN 1
+           WHEN ${nameSQL} LIKE ${term} || '%' THEN 2
+           WHEN ${citySQL} LIKE ${term} || '%' THEN 3
+           ELSE 4 END AS match_rank
+       FROM airports
+       WHERE type <> 'closed'
+         AND (LOWER(icao) LIKE LOWER($2) || '%' OR LOWER(iata_code) LIKE LOWER($2) || '%'
+           OR ${nameSQL} LIKE ${term} || '%' OR ${nameSQL} LIKE '% ' || ${term} || '%'
+           OR ${citySQL} LIKE ${term} || '%')
+       ORDER BY (CASE WHEN LOWER(icao) = LOWER($1) OR LOWER(iata_code) = LOWER($1) THEN 0 ELSE 1 END),
+         ${TYPE_RANK_SQL}, match_rank, name
        LIMIT $3`,
-      [`%${name}%`, `${name}%`, limit]
+      [q, escapeLike(q), limit]
     );
-    return result.rows.map(a => formatAirport(a));
+
+    return result.rows.map(a => ({
+      icao: a.icao,
+      iata: a.iata_code,
+      name: a.name,
+      city: a.city,
+      country: a.country,
+      type: a.type
+    }));
   }
 
   /**
-   * Vérifie si les données sont chargées
+   * Aéroports d'une tuile de carte Web Mercator (z/x/y)
+   * Les types affichés dépendent du zoom. Jusqu'à TILE_CLUSTER_MAX_ZOOM, les aéroports d'une même
+   * cellule de grille sont regroupés : le plus important représente le groupe, placé au barycentre.
+   * typeFilter.exclude retire des types (les aéroports fermés par défaut) ; les types inclus sont ceux du zoom.
+   * @returns {Promise<Array<{count: number, lat: number, lon: number, airport: Object}>>}
+   */
+  async findTileAirports(z, x, y, typeFilter = OPEN_TYPES_FILTER) {
+    const tileTypeFilter = {
+      include: TILE_TYPES_BY_ZOOM.find(([minZoom]) => z >= minZoom)[1],
+      exclude: typeFilter.exclude || []
+    };
+    return cached('tile', [z, x, y, normalizeTypeFilter(tileTypeFilter)], () => this.queryTileAirports(z, x, y, tileTypeFilter));
+  }
+
+  // Aéroports d'une tuile, sans cache (voir findTileAirports), lus dans l'index en mémoire s'il est chargé
+  async queryTileAirports(z, x, y, typeFilter) {
+    const { west, south, east, north } = geo.tileBounds(z, x, y);
+    const size = 2 ** z * TILE_CLUSTER_GRID;
+    const lastColumn = x === 2 ** z - 1;
+
+    if (airportIndex.isReady()) {
+      const airports = airportIndex.findInBoxes([{ minLat: south, maxLat: north, minLon: west, maxLon: east }],
+        entry => entry.lat > south && (lastColumn || entry.lon < east) && matchesTypeFilter(entry.type, typeFilter))
+        .map(entry => entry.airport);
+      if (z > TILE_CLUSTER_MAX_ZOOM) {
+        return airports
+          .sort((a, b) => typeRank(a.type) - typeRank(b.type) || compareIcao(a, b))
+          .map(airport => ({ count: 1, lat: airport.lat, lon: airport.lon, airport }));
+      }
+      return clusterTileAirports(airports, size);
+    }
+
+    // Intervalles semi-ouverts pour qu'un aéroport sur un bord n'apparaisse que sur une tuile
+    const params = [south, north, west, east];
+    const conditions = [
+      'latitude > $1 AND latitude <= $2',
+      `longitude >= $3 AND ${lastColumn ? 'longitude <= $4' : 'longitude < $4'}`
+    ];
+    const typeCondition = buildTypeFilter(typeFilter, params);
+    if (typeCondition) {
+      conditions.push(typeCondition.replace(/^AND /, ''));
+    }
+
+    if (z > TILE_CLUSTER_MAX_ZOOM) {
+      const result = await query(
+        `SELECT ${AIRPORT_COLUMNS} FROM airports WHERE ${conditions.join(' AND ')} ORDER BY ${TYPE_RANK_SQL}, icao`,
+        params
+      );
+      return result.rows.map(a => {
+        const airport = formatAirport(a);
+        return { count: 1, lat: airport.lat, lon: airport.lon, airport };
+      });
+    }
+
+    const result = await query(
+      `SELECT DISTINCT ON (cell_x, cell_y) *,
+         COUNT(*) OVER cell AS cluster_count,
+         AVG(latitude::float8) OVER cell AS cluster_lat,
+         AVG(longitude::float8) OVER cell AS cluster_lon
+       FROM (
+         SELECT ${AIRPORT_COLUMNS}, ${TYPE_RANK_SQL} AS type_rank,
+           ${mercatorXSQL(size)} AS cell_x, ${mercatorYSQL(size)} AS cell_y
+         FROM airports
+         WHERE ${conditions.join(' AND ')}
+       ) cells
+       WINDOW cell AS (PARTITION BY cell_x, cell_y)
+       ORDER BY cell_x, cell_y, type_rank, scheduled_service DESC, icao`,
+      params
+    );
+
+    return result.rows.map(a => {
+      const airport = formatAirport(a);
+      const count = parseInt(a.cluster_count);
+      return count === 1
+        ? { count, lat: airport.lat, lon: airport.lon, airport }
+        : { count, lat: Math.round(a.cluster_lat * 1e5) / 1e5, lon: Math.round(a.cluster_lon * 1e5) / 1e5, airport };
+    });
+  }
+
+  /**
+   * Charge l'index en mémoire et le recharge après chaque import (AIRPORT_INDEX=memory)
+   * Tant qu'il n'est pas chargé, les recherches passent par PostgreSQL.
+   */
+  startIndex() {
+    airportIndex.start(async () => {
+      const result = await query(`SELECT ${AIRPORT_COLUMNS} FROM airports`);
+      return result.rows.map(a => formatAirport(a));
+    });
+  }
+
+  /**
+   * Lectures du cache des recherches depuis le démarrage
+   * @returns {{hits: number, misses: number}}
+   */
+  getCacheStats() {
+    return { ...cacheStats };
+  }
+
+  /**
+   * Vérifie si les données sont chargées (sans requête quand l'index en mémoire est chargé)
    */
   async isDataLoaded() {
+    if (airportIndex.isReady()) {
+      return airportIndex.size > 0;
+    }
     try {
       const result = await query('SELECT COUNT(*) FROM airports');
       return parseInt(result.rows[0].count) > 0;
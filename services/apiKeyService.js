@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Clés générées : préfixe puis 32 octets aléatoires en hexadécimal
+const KEY_PREFIX = 'ak_';
+const KEY_BYTES = 32;
+
+// Début de clé conservé en clair pour l'identifier (listes, révocation)
+const DISPLAY_PREFIX_LENGTH = 11;
+
+// Durée de cache des clés vérifiées (ms) : une révocation prend effet au plus tard après ce délai
+const KEY_CACHE_TTL = 60 * 1000;
+const KEY_CACHE_MAX_SIZE = 10000;
+
+// Empreinte stockée en base à la place de la clé
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Fonction helper pour formater une clé d'API (sans l'empreinte)
+const formatApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  rateLimit: row.rate_limit,
+  dailyQuota: row.daily_quota,
+  admin: row.admin,
+  createdAt: row.created_at.toISOString(),
+  revokedAt: row.revoked_at ? row.revoked_at.toISOString() : null
+});
+
+class ApiKeyService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Crée une clé d'API ; la clé en clair n'est retournée qu'ici
+   * @param {string} name - Nom du client
+   * @param {{rateLimit?: number, dailyQuota?: number, admin?: boolean}} options - Requêtes par minute et par jour
+   *   (null : valeurs par défaut, 0 : illimité), accès aux routes /admin
+   * @returns {Promise<{key: string, apiKey: Object}>}
+   */
+  async create(name, { rateLimit = null, dailyQuota = null, admin = false } = {}) {
+    const key = KEY_PREFIX + crypto.randomBytes(KEY_BYTES).toString('hex');
+    const result = await query(
+      `INSERT INTO api_keys (name, key_hash, key_prefix, rate_limit, daily_quota, admin)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, hashKey(key), key.slice(0, DISPLAY_PREFIX_LENGTH), rateLimit, dailyQuota, admin]
+    );
+    return { key, apiKey: formatApiKey(result.rows[0]) };
+  }
+
+  /**
+   * Révoque une clé d'API
+   * @param {string} idOrPrefix - Identifiant numérique ou début de clé affiché par list()
+   * @returns {Promise<Object|null>} Clé révoquée, null si aucune clé active ne correspond
+   */
+  async revoke(idOrPrefix) {
+    const id = /^\d+$/.test(idOrPrefix) ? parseInt(idOrPrefix) : null;
+    const result = await query(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+       WHERE (id = $1 OR key_prefix = $2) AND revoked_at IS NULL
+       RETURNING *`,
+      [id, idOrPrefix]
+    );
+    this.cache.clear();
+    return result.rows.length > 0 ? formatApiKey(result.rows[0]) : null;
+  }
+
+  /**
+   * Liste les clés d'API, des plus récentes aux plus anciennes
+   * @param {{includeRevoked?: boolean}} options
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ includeRevoked = false } = {}) {
+    const result = await query(
+      `SELECT * FROM api_keys
+       ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+       ORDER BY id DESC`
+    );
+    return result.rows.map(formatApiKey);
+  }
+
+  /**
+   * Vérifie une clé d'API reçue dans une requête
+   * Les résultats (clé valide ou inconnue) sont mis en cache KEY_CACHE_TTL.
+   * @param {string} key - Clé en clair
+   * @returns {Promise<Object|null>} Clé active, null si inconnue ou révoquée
+   */
+  async authenticate(key) {
+    const hash = hashKey(key);
+    const cached = this.cache.get(hash);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.apiKey;
+    }
+
+    const result = await query('SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL', [hash]);
+    const apiKey = result.rows.length > 0 ? formatApiKey(result.rows[0]) : null;
+
+    if (this.cache.size >= KEY_CACHE_MAX_SIZE) {
+      this.cache.clear();
+    }
+    this.cache.set(hash, { apiKey, expiresAt: Date.now() + KEY_CACHE_TTL });
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,118 @@
+const EventEmitter = require('events');
+const { query, getClient } = require('../config/database');
+
+/**
+ * Version du jeu de données : dernier import de scripts/importCSV.js (table import_reports)
+ * Elle sert de validateur HTTP (ETag, Last-Modified), préfixe les clés du cache des recherches
+ * et déclenche le rechargement de l'index en mémoire.
+ * Elle est mise à jour à la notification PostgreSQL envoyée par l'import (LISTEN), et vérifiée
+ * périodiquement en secours. Un événement change est émis à chaque nouvelle version.
+ */
+
+// Canal NOTIFY émis par l'import à la validation des changements
+const DATASET_CHANNEL = 'airports_changed';
+
+// Vérification du dernier import (secondes, 0 pour désactiver) et reconnexion de l'écoute
+const REFRESH_INTERVAL = (process.env.DATASET_REFRESH_INTERVAL !== undefined
+  ? parseInt(process.env.DATASET_REFRESH_INTERVAL)
+  : 60) * 1000;
+const LISTEN_RETRY_DELAY = 30000;
+
+class DatasetVersion extends EventEmitter {
+  constructor() {
+    super();
+    this.channel = DATASET_CHANNEL;
+    this.current = null;
+    this.started = false;
+    this.stopped = false;
+    this.timer = null;
+    this.listener = null;
+  }
+
+  /**
+   * Lit la version actuelle et surveille les imports (une seule fois par processus)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.refresh().catch(error => console.error('Lecture de la version des données impossible:', error.message));
+    this.listen();
+
+    if (REFRESH_INTERVAL > 0) {
+      this.timer = setInterval(() => {
+        this.refresh().catch(error => console.error('Lecture de la version des données impossible:', error.message));
+      }, REFRESH_INTERVAL);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Arrête la surveillance et libère la connexion d'écoute (arrêt du processus, fin des tests)
+   * Sans cela, la fermeture du pool attend indéfiniment la connexion LISTEN.
+   */
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.listener) {
+      this.listener.release();
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Lit le dernier import et émet change s'il diffère de la version connue
+   * @returns {Promise<{id: number, importedAt: Date}|null>} Version actuelle (null sans import)
+   */
+  async refresh() {
+    const result = await query('SELECT id, imported_at FROM import_reports ORDER BY id DESC LIMIT 1');
+    const row = result.rows[0];
+    const version = row ? { id: row.id, importedAt: row.imported_at } : null;
+
+    const changed = (version && version.id) !== (this.current && this.current.id);
+    this.current = version;
+    if (changed) {
+      this.emit('change', version);
+    }
+    return version;
+  }
+
+  /**
+   * Écoute les notifications d'import sur une connexion dédiée, reconnectée en cas d'erreur
+   */
+  async listen() {
+    let client;
+    let stopped = false;
+    // Libère la connexion et réessaie plus tard (une seule fois par connexion)
+    const retry = (message, error) => {
+      if (stopped || this.stopped) return;
+      stopped = true;
+      console.error(message, error.message);
+      if (client) client.release(error);
+      this.listener = null;
+      setTimeout(() => this.listen(), LISTEN_RETRY_DELAY).unref();
+    };
+
+    if (this.stopped) return;
+    try {
+      client = await getClient();
+      if (this.stopped) {
+        client.release();
+        return;
+      }
+      this.listener = client;
+      client.on('notification', () => {
+        this.refresh().catch(error => console.error('Lecture de la version des données impossible:', error.message));
+      });
+      client.on('error', error => retry('Écoute des imports interrompue:', error));
+      await client.query(`LISTEN ${DATASET_CHANNEL}`);
+    } catch (error) {
+      retry('Écoute des imports impossible:', error);
+    }
+  }
+}
+
+module.exports = new DatasetVersion();
@@ -0,0 +1,178 @@
+const { query } = require('../config/database');
+
+// Écriture différée : les métriques sont regroupées en mémoire puis insérées par lots
+const FLUSH_INTERVAL = 5000;
+const FLUSH_BATCH_SIZE = 1000;
+
+// Au-delà, les nouvelles métriques sont ignorées (base indisponible) pour borner la mémoire
+const MAX_BUFFER_SIZE = 50000;
+
+// Conservation des métriques (jours), purgées au plus une fois par heure
+const RETENTION_DAYS = parseInt(process.env.METRICS_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Fenêtres de GET /admin/stats : durée et pas de la série temporelle
+const STATS_WINDOWS = {
+  '1h': { duration: '1 hour', bucket: '5 minutes' },
+  '24h': { duration: '24 hours', bucket: '1 hour' },
+  '7d': { duration: '7 days', bucket: '6 hours' },
+  '30d': { duration: '30 days', bucket: '1 day' }
+};
+
+const COLUMNS = ['requested_at', 'route', 'status', 'duration_ms', 'icao', 'api_key_id'];
+
+// Durée en ms arrondie au dixième
+const roundMs = (value) => (value === null ? null : Math.round(parseFloat(value) * 10) / 10);
+
+// Part d'erreurs arrondie au millième
+const formatRate = (errors, total) => (total > 0 ? Math.round(errors / total * 1000) / 1000 : 0);
+
+// Agrégats communs : volume, erreurs serveur (5xx) et client (4xx), latences médiane et p95
+const AGGREGATES_SQL = `COUNT(*)::int AS requests,
+    COUNT(*) FILTER (WHERE status >= 500)::int AS errors,
+    COUNT(*) FILTER (WHERE status >= 400 AND status < 500)::int AS client_errors,
+    percentile_cont(0.5) WITHIN GROUP (ORDER BY duration_ms) AS p50,
+    percentile_cont(0.95) WITHIN GROUP (ORDER BY duration_ms) AS p95`;
+
+const formatAggregates = (row) => ({
+  requests: row.requests,
+  errorRate: formatRate(row.errors, row.requests),
+  clientErrorRate: formatRate(row.client_errors, row.requests),
+  p50: roundMs(row.p50),
+  p95: roundMs(row.p95)
+});
+
+class MetricsService {
+  constructor() {
+    this.buffer = [];
+    this.enabled = process.env.METRICS_ENABLED !== 'false';
+    this.flushing = null;
+    this.lastPurge = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Enregistre une requête, sans attendre l'écriture en base
+   * @param {{requestedAt: Date, route: string|null, status: number, durationMs: number, icao?: string, apiKeyId?: number}} metric
+   */
+  record(metric) {
+    if (!this.enabled || this.buffer.length >= MAX_BUFFER_SIZE) {
+      return;
+    }
+    this.buffer.push(metric);
+
+    if (!this.timer) {
+      // Le minuteur ne retient pas le processus à l'arrêt
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(error => console.error('Écriture des métriques impossible:', error.message));
+      }, FLUSH_INTERVAL);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Écrit les métriques en attente (par lots de FLUSH_BATCH_SIZE)
+   * Un lot dont l'écriture échoue est perdu : les métriques ne doivent pas bloquer l'API.
+   * @returns {Promise<number>} Nombre de métriques écrites
+   */
+  async flush() {
+    if (this.flushing) {
+      // L'échec de l'écriture en cours est signalé à son appelant, pas à celui-ci
+      await this.flushing.catch(() => {});
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const pending = this.buffer;
+    this.buffer = [];
+
+    this.flushing = (async () => {
+      let written = 0;
+      for (let i = 0; i < pending.length; i += FLUSH_BATCH_SIZE) {
+        const batch = pending.slice(i, i + FLUSH_BATCH_SIZE);
+        const params = [];
+        const rows = batch.map(m => {
+          params.push(m.requestedAt, m.route, m.status, m.durationMs, m.icao || null, m.apiKeyId || null);
+          const first = params.length - COLUMNS.length + 1;
+          return `(${COLUMNS.map((c, j) => `$${first + j}`).join(', ')})`;
+        });
+        await query(`INSERT INTO request_metrics (${COLUMNS.join(', ')}) VALUES ${rows.join(', ')}`, params);
+        written += batch.length;
+      }
+
+      if (Date.now() - this.lastPurge > PURGE_INTERVAL) {
+        this.lastPurge = Date.now();
+        await query(`DELETE FROM request_metrics WHERE requested_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'`, [RETENTION_DAYS]);
+      }
+      return written;
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Statistiques d'utilisation sur une fenêtre glissante
+   * @param {string} window - Clé de STATS_WINDOWS (1h, 24h, 7d, 30d)
+   * @param {number} top - Nombre d'aéroports et de clés les plus demandés
+   * @returns {Promise<Object>} Totaux, routes, aéroports, clés et série temporelle
+   * @throws {Error} Fenêtre inconnue (err.status = 400)
+   */
+  async getStats(window = '24h', top = 10) {
+    if (!Object.hasOwn(STATS_WINDOWS, window)) {
+      const error = new Error(`Le paramètre window doit valoir: ${Object.keys(STATS_WINDOWS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    const { duration, bucket } = STATS_WINDOWS[window];
+    const since = `requested_at >= CURRENT_TIMESTAMP - $1::interval`;
+
+    const [totals, routes, airports, keys, timeline] = await Promise.all([
+      query(`SELECT ${AGGREGATES_SQL} FROM request_metrics WHERE ${since}`, [duration]),
+      query(
+        `SELECT route, ${AGGREGATES_SQL}
+         FROM request_metrics WHERE ${since}
+         GROUP BY route ORDER BY requests DESC`,
+        [duration]
+      ),
+      query(
+        `SELECT icao, COUNT(*)::int AS requests
+         FROM request_metrics WHERE ${since} AND icao IS NOT NULL
+         GROUP BY icao ORDER BY requests DESC, icao LIMIT $2`,
+        [duration, top]
+      ),
+      query(
+        `SELECT m.api_key_id, k.name, COUNT(*)::int AS requests
+         FROM request_metrics m LEFT JOIN api_keys k ON k.id = m.api_key_id
+         WHERE ${since}
+         GROUP BY m.api_key_id, k.name ORDER BY requests DESC LIMIT $2`,
+        [duration, top]
+      ),
+      query(
+        `SELECT to_timestamp(floor(extract(epoch FROM requested_at) / extract(epoch FROM $2::interval))
+           * extract(epoch FROM $2::interval)) AS start, ${AGGREGATES_SQL}
+         FROM request_metrics WHERE ${since}
+         GROUP BY start ORDER BY start`,
+        [duration, bucket]
+      )
+    ]);
+
+    return {
+      window,
+      bucket,
+      totals: formatAggregates(totals.rows[0]),
+      routes: routes.rows.map(row => ({ route: row.route, ...formatAggregates(row) })),
+      topAirports: airports.rows,
+      topKeys: keys.rows.map(row => ({ apiKeyId: row.api_key_id, name: row.name, requests: row.requests })),
+      timeline: timeline.rows.map(row => ({ start: row.start.toISOString(), ...formatAggregates(row) }))
+    };
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,182 @@
+const { query, pool } = require('../config/database');
+const { loadMigrations, compareMigrations } = require('../config/migrations');
+const airportService = require('./airportService');
+const airportIndex = require('./airportIndex');
+
+// Seuils de l'histogramme des durées de réponse (secondes)
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Étiquette Prometheus : \, " et retours à la ligne échappés
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+// Bloc HELP/TYPE puis une ligne par série
+const formatMetric = (name, type, help, samples) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`,
+  ...samples.map(({ suffix = '', labels = {}, value }) => `${name}${suffix}${formatLabels(labels)} ${value}`)
+].join('\n');
+
+class MonitoringService {
+  constructor() {
+    // Compteurs par route et statut, histogrammes par route (depuis le démarrage du processus)
+    this.requests = new Map();
+    this.durations = new Map();
+    this.startedAt = Date.now();
+    this.migrations = null;
+  }
+
+  /**
+   * Comptabilise une requête (appelé par le middleware requestMetrics)
+   * @param {{route: string|null, status: number, durationMs: number}} request
+   */
+  observeRequest({ route, status, durationMs }) {
+    const routeLabel = route || 'unmatched';
+    const requestKey = `${routeLabel}\n${status}`;
+    this.requests.set(requestKey, (this.requests.get(requestKey) || 0) + 1);
+
+    let histogram = this.durations.get(routeLabel);
+    if (!histogram) {
+      histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+      this.durations.set(routeLabel, histogram);
+    }
+    const seconds = durationMs / 1000;
+    DURATION_BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) histogram.buckets[i]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * État des migrations : dernière version appliquée, migrations en attente, et migrations appliquées
+   * dont le fichier a changé (somme de contrôle) ou a disparu, comme le vérifie scripts/migrate.js
+   * Les fichiers ne changent pas pendant l'exécution : ils ne sont lus qu'une fois.
+   * @returns {Promise<{version: number|null, expected: number|null, pending: Array<string>, modified: Array<string>, missing: Array<string>}>}
+   */
+  async getMigrationStatus() {
+    if (!this.migrations) {
+      this.migrations = loadMigrations();
+    }
+    const applied = (await query('SELECT version, name, checksum FROM schema_migrations ORDER BY version')).rows;
+    const { pending, modified, missing } = compareMigrations(this.migrations, applied);
+    const last = (list) => (list.length > 0 ? list[list.length - 1].version : null);
+    const names = (list) => list.map(m => `${m.version}_${m.name}`);
+    return {
+      version: last(applied),
+      expected: last(this.migrations),
+      pending: names(pending),
+      modified: names(modified),
+      missing: names(missing)
+    };
+  }
+
+  /**
+   * Vérifications de GET /ready : base joignable, schéma à jour et conforme aux fichiers de migration,
+   * aéroports importés (et index en mémoire chargé)
+   * @returns {Promise<{ready: boolean, checks: Object}>} Détail de chaque vérification
+   */
+  async getReadiness() {
+    const checks = {};
+
+    try {
+      await query('SELECT 1');
+      checks.database = { ok: true };
+    } catch (error) {
+      checks.database = { ok: false, message: error.message };
+      return { ready: false, checks };
+    }
+
+    try {
+      const migrations = await this.getMigrationStatus();
+      const ok = [migrations.pending, migrations.modified, migrations.missing].every(list => list.length === 0);
+      checks.migrations = { ok, ...migrations };
+    } catch (error) {
+      checks.migrations = { ok: false, message: error.message };
+    }
+
+    checks.airports = { ok: await airportService.isDataLoaded() };
+
+    // AIRPORT_INDEX=memory : prêt une fois l'index chargé (les recherches passent par PostgreSQL d'ici là)
+    if (airportIndex.enabled) {
+      checks.airportIndex = airportIndex.isReady()
+        ? { ok: true, size: airportIndex.size, loadedAt: airportIndex.loadedAt.toISOString() }
+        : { ok: false, message: 'Index des aéroports en cours de chargement' };
+    }
+
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+  }
+
+  /**
+   * Métriques au format texte Prometheus : pool PostgreSQL, requêtes HTTP et données importées
+   * Les métriques issues de la base sont omises si elle est injoignable (airports_database_up 0).
+   * @returns {Promise<string>}
+   */
+  async renderMetrics() {
+    const metrics = [
+      formatMetric('airports_process_start_time_seconds', 'gauge', 'Date de démarrage du processus', [
+        { value: Math.floor(this.startedAt / 1000) }
+      ]),
+      formatMetric('airports_db_pool_connections', 'gauge', 'Connexions du pool PostgreSQL', [
+        { labels: { state: 'total' }, value: pool.totalCount },
+        { labels: { state: 'idle' }, value: pool.idleCount },
+        { labels: { state: 'waiting' }, value: pool.waitingCount }
+      ]),
+      formatMetric('airports_http_requests_total', 'counter', 'Requêtes HTTP par route et statut',
+        [...this.requests].map(([key, value]) => {
+          const [route, status] = key.split('\n');
+          return { labels: { route, status }, value };
+        })
+      ),
+      formatMetric('airports_http_request_duration_seconds', 'histogram', 'Durée des réponses HTTP par route',
+        [...this.durations].flatMap(([route, histogram]) => [
+          ...DURATION_BUCKETS.map((bound, i) => ({ suffix: '_bucket', labels: { route, le: bound }, value: histogram.buckets[i] })),
+          { suffix: '_bucket', labels: { route, le: '+Inf' }, value: histogram.count },
+          { suffix: '_sum', labels: { route }, value: histogram.sum },
+          { suffix: '_count', labels: { route }, value: histogram.count }
+        ])
+      )
+    ];
+
+    const cacheStats = airportService.getCacheStats();
+    metrics.push(formatMetric('airports_cache_requests_total', 'counter', 'Lectures du cache des recherches', [
+      { labels: { result: 'hit' }, value: cacheStats.hits },
+      { labels: { result: 'miss' }, value: cacheStats.misses }
+    ]));
+
+    if (airportIndex.isReady()) {
+      metrics.push(
+        formatMetric('airports_index_size', 'gauge', 'Aéroports dans l\'index en mémoire', [{ value: airportIndex.size }]),
+        formatMetric('airports_index_loaded_timestamp_seconds', 'gauge', 'Date du dernier chargement de l\'index en mémoire', [
+          { value: Math.floor(airportIndex.loadedAt.getTime() / 1000) }
+        ])
+      );
+    }
+
+    try {
+      const [airports, lastImport] = await Promise.all([
+        query('SELECT COUNT(*)::int AS count FROM airports'),
+        query('SELECT EXTRACT(EPOCH FROM MAX(imported_at)::timestamptz) AS imported_at FROM import_reports')
+      ]);
+      metrics.push(
+        formatMetric('airports_database_up', 'gauge', 'Base de données joignable', [{ value: 1 }]),
+        formatMetric('airports_count', 'gauge', 'Aéroports dans la base', [{ value: airports.rows[0].count }])
+      );
+      if (lastImport.rows[0].imported_at !== null) {
+        metrics.push(formatMetric('airports_last_import_timestamp_seconds', 'gauge', 'Date du dernier import des données', [
+          { value: Math.floor(parseFloat(lastImport.rows[0].imported_at)) }
+        ]));
+      }
+    } catch (error) {
+      metrics.push(formatMetric('airports_database_up', 'gauge', 'Base de données joignable', [{ value: 0 }]));
+    }
+
+    return `${metrics.join('\n')}\n`;
+  }
+}
+
+module.exports = new MonitoringService();
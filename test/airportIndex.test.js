@@ -0,0 +1,230 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+const fixtures = require('./fixtures/airports');
+
+/**
+ * Index en mémoire (AIRPORT_INDEX=memory) : mêmes résultats que les requêtes SQL
+ * Chaque recherche est faite avec l'index chargé, puis avec l'index désactivé (PostgreSQL).
+ */
+
+process.env.AIRPORT_INDEX = 'memory';
+process.env.CACHE_STORE = 'none';
+process.env.DATASET_REFRESH_INTERVAL = '0';
+const database = useTestDatabase('airport_index');
+const airportService = require('../services/airportService');
+const airportIndex = require('../services/airportIndex');
+const datasetVersion = require('../services/datasetVersion');
+const geo = require('../utils/geo');
+
+const TYPE_FILTERS = {
+  default: undefined,
+  all: { include: null, exclude: [] },
+  open: { include: null, exclude: ['closed'] },
+  heliports: { include: ['heliport'], exclude: ['closed'] }
+};
+
+// Points de recherche : antiméridien, pôles, Europe et plein océan
+const POINTS = [
+  { lat: -16.75, lon: 179.9 },
+  { lat: -17.5, lon: -179.5 },
+  { lat: 65, lon: 180 },
+  { lat: 64.5, lon: -179.9 },
+  { lat: 89.95, lon: 100 },
+  { lat: 90, lon: 0 },
+  { lat: -90, lon: 0 },
+  { lat: -77.85, lon: 166.67 },
+  { lat: 48.86, lon: 2.35 },
+  { lat: 52.5, lon: 13.4 },
+  { lat: 0, lon: -140 }
+];
+
+const ROUTES = [
+  ['LFPG', 'KJFK'],
+  ['NFFN', 'NSFA'],
+  ['CYLT', 'ENSB'],
+  ['NZWD', 'NZSP'],
+  ['LFPG', 'LFLL'],
+  ['UHMA', 'PAOM']
+];
+
+const airportByIcao = new Map(fixtures.map(airport => [airport.icao, airport]));
+const point = (icao) => ({ lat: airportByIcao.get(icao).latitude, lon: airportByIcao.get(icao).longitude });
+
+// Distances arrondies au millimètre : la formule est la même, l'arithmétique flottante peut différer
+const round = (value) => (typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value);
+const normalize = (value) => JSON.parse(JSON.stringify(value), (key, v) => round(v));
+
+/**
+ * Résultat d'une recherche avec l'index en mémoire, puis avec PostgreSQL
+ * @returns {Promise<Array>} [mémoire, SQL], normalisés
+ */
+const searchBothWays = async (search) => {
+  assert.ok(airportIndex.isReady());
+  const memory = await search();
+  airportIndex.enabled = false;
+  try {
+    return [normalize(memory), normalize(await search())];
+  } finally {
+    airportIndex.enabled = true;
+  }
+};
+
+const assertSameResults = async (search, message) => {
+  const [memory, sql] = await searchBothWays(search);
+  assert.deepEqual(memory, sql, message);
+  return memory;
+};
+
+before(async () => {
+  await database.setup();
+  airportService.startIndex();
+  await airportIndex.load();
+});
+
+after(async () => {
+  datasetVersion.stop();
+  await database.teardown();
+});
+
+describe('aéroports les plus proches', () => {
+  test('l\'index contient tous les aéroports', () => {
+    assert.equal(airportIndex.size, fixtures.length);
+  });
+
+  test('mêmes résultats pour chaque point, limite, distance maximale et filtre de types', async () => {
+    let found = 0;
+    for (const { lat, lon } of POINTS) {
+      for (const limit of [1, 5, fixtures.length + 10]) {
+        for (const maxDistance of [0, 10, 300, 1000, 5000, Infinity]) {
+          for (const [name, typeFilter] of Object.entries(TYPE_FILTERS)) {
+            const airports = await assertSameResults(
+              () => airportService.findNearestAirports(lat, lon, limit, maxDistance, typeFilter),
+              `(${lat}, ${lon}) limit=${limit} maxDistance=${maxDistance} types=${name}`
+            );
+            found += airports.length;
+          }
+        }
+      }
+    }
+    assert.ok(found > 0);
+  });
+
+  test('sans maxDistance, toute la Terre est couverte', async () => {
+    const airports = await assertSameResults(
+      () => airportService.findNearestAirports(0, -140, fixtures.length, Infinity, TYPE_FILTERS.all)
+    );
+    assert.equal(airports.length, fixtures.length);
+  });
+
+  test('une distance maximale invalide ne bloque pas la recherche', async () => {
+    assert.deepEqual(await airportService.findNearestAirports(1, 1, 5, NaN), []);
+  });
+
+  test('les aéroports fermés ne sont trouvés qu\'avec includeClosed', async () => {
+    const open = await assertSameResults(() => airportService.findNearestAirports(52.5, 13.3, 3, 50));
+    const all = await assertSameResults(() => airportService.findNearestAirports(52.5, 13.3, 3, 50, TYPE_FILTERS.all));
+
+    assert.deepEqual(open.map(airport => airport.icao), ['EDDB']);
+    assert.deepEqual(all.map(airport => airport.icao).sort(), ['EDDB', 'EDDI', 'EDDT']);
+  });
+});
+
+describe('mode batch', () => {
+  test('mêmes résultats que la recherche SQL, point par point', async () => {
+    const points = POINTS.flatMap(({ lat, lon }) => [
+      { lat, lon },
+      { lat, lon, maxDistance: 0 },
+      { lat, lon, maxDistance: 300 },
+      { lat, lon, maxDistance: 1000, typeFilter: TYPE_FILTERS.all },
+      { lat, lon, typeFilter: TYPE_FILTERS.heliports }
+    ]);
+
+    const results = await assertSameResults(() => airportService.findNearestAirportBatch(points));
+    assert.equal(results.length, points.length);
+    assert.ok(results.some(airport => airport === null));
+    assert.ok(results.some(airport => airport !== null));
+  });
+});
+
+describe('routes', () => {
+  test('mêmes aéroports le long de chaque route, dans le même ordre', async () => {
+    for (const [from, to] of ROUTES) {
+      for (const width of [10, 100, 500]) {
+        for (const [name, typeFilter] of Object.entries(TYPE_FILTERS)) {
+          await assertSameResults(
+            () => airportService.findAirportsAlongRoute(point(from), point(to), width, typeFilter),
+            `${from} → ${to} width=${width} types=${name}`
+          );
+        }
+      }
+    }
+  });
+
+  test('la limite garde les premiers aéroports de la route', async () => {
+    const airports = await assertSameResults(
+      () => airportService.findAirportsAlongRoute(point('NFFN'), point('NSFA'), 500, TYPE_FILTERS.all, 3)
+    );
+    assert.equal(airports.length, 3);
+    assert.equal(airports[0].icao, 'NFFN');
+  });
+});
+
+describe('tuiles', () => {
+  // Tuile XYZ qui contient un point, à un zoom donné
+  const tileOf = (lat, lon, z) => {
+    const n = 2 ** z;
+    const radians = geo.toRadians(lat);
+    return {
+      x: Math.min(n - 1, Math.floor((lon + 180) / 360 * n)),
+      y: Math.min(n - 1, Math.max(0, Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * n)))
+    };
+  };
+
+  test('mêmes aéroports et mêmes regroupements à chaque zoom', async () => {
+    const tiles = new Set();
+    for (let z = 0; z <= 14; z++) {
+      fixtures.filter(airport => Math.abs(airport.latitude) < 85).forEach(airport => {
+        const { x, y } = tileOf(airport.latitude, airport.longitude, z);
+        tiles.add(`${z}/${x}/${y}`);
+      });
+      // Dernière colonne, fermée à l'est (180°)
+      tiles.add(`${z}/${2 ** z - 1}/${Math.floor(2 ** z / 2)}`);
+    }
+
+    let clusters = 0;
+    for (const tile of tiles) {
+      const [z, x, y] = tile.split('/').map(Number);
+      for (const typeFilter of [TYPE_FILTERS.open, TYPE_FILTERS.all]) {
+        const airports = await assertSameResults(() => airportService.findTileAirports(z, x, y, typeFilter), `tuile ${tile}`);
+        clusters += airports.filter(cluster => cluster.count > 1).length;
+      }
+    }
+    assert.ok(clusters > 0);
+  });
+
+  test('le représentant d\'un groupe est choisi de la même façon (type, vols réguliers, ICAO)', async () => {
+    // Tous les types dès les petits zooms : les aéroports des Fidji, de Paris et de McMurdo se regroupent
+    for (let z = 0; z <= 4; z++) {
+      for (const airport of fixtures.filter(a => Math.abs(a.latitude) < 85)) {
+        const { x, y } = tileOf(airport.latitude, airport.longitude, z);
+        await assertSameResults(() => airportService.queryTileAirports(z, x, y, TYPE_FILTERS.all), `tuile ${z}/${x}/${y}`);
+      }
+    }
+
+    const { x, y } = tileOf(-16.75, -179.5, 2);
+    const clusters = await airportService.queryTileAirports(2, x, y, { include: ['small_airport'], exclude: [] });
+    const fiji = clusters.find(cluster => cluster.count > 1);
+    assert.equal(fiji.count, 2);
+    assert.equal(fiji.airport.icao, 'NFNM');
+  });
+
+  test('les aéroports fermés n\'apparaissent qu\'avec includeClosed', async () => {
+    const { x, y } = tileOf(52.5, 13.35, 11);
+    const open = await assertSameResults(() => airportService.findTileAirports(11, x, y));
+    const all = await assertSameResults(() => airportService.findTileAirports(11, x, y, TYPE_FILTERS.all));
+
+    assert.ok(!open.some(cluster => cluster.airport.type === 'closed'));
+    assert.ok(all.some(cluster => cluster.airport.type === 'closed'));
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Aéroports des tests (coordonnées approchées)
+ * Regroupés autour des cas limites de la recherche géographique : antiméridien (Fidji, Tchoukotka),
+ * Arctique (Svalbard, Ellesmere), Antarctique (McMurdo, pôle Sud), plus des aéroports de
+ * chaque type autour de Paris et Berlin.
+ */
+
+// Aéroports desservis par des vols réguliers
+const SCHEDULED = new Set([
+  'NFFN', 'NFNA', 'NFNM', 'NFTF', 'NSFA', 'NLWW', 'NGFU', 'UHMA', 'UHMD', 'UHML', 'UHMP', 'PAGM', 'PASA', 'PAOM',
+  'ENSB', 'LFPG', 'LFPO', 'LFLL', 'EGLL', 'KJFK', 'EDDB'
+]);
+
+const airport = (icao, iata, name, latitude, longitude, city, country, continent, type) => ({
+  icao, ident: icao, iata_code: iata, name, latitude, longitude, city, country, continent, type,
+  scheduled_service: SCHEDULED.has(icao)
+});
+
+module.exports = [
+  // Fidji et Pacifique Sud, de part et d'autre de l'antiméridien
+  airport('NFFN', 'NAN', 'Nadi International Airport', -17.7554, 177.443, 'Nadi', 'FJ', 'OC', 'large_airport'),
+  airport('NFNA', 'SUV', 'Nausori International Airport', -18.0433, 178.559, 'Nausori', 'FJ', 'OC', 'medium_airport'),
+  airport('NFNM', 'TVU', 'Matei Airport', -16.6906, -179.877, 'Matei', 'FJ', 'OC', 'small_airport'),
+  airport('NFNV', 'VBV', 'Vanua Balavu Airport', -17.269, -178.976, 'Vanua Balavu', 'FJ', 'OC', 'small_airport'),
+  airport('NFNK', 'LKB', 'Lakeba Island Airport', -18.1992, -178.817, 'Lakeba Island', 'FJ', 'OC', 'small_airport'),
+  airport('NFTF', 'TBU', 'Fua\'amotu International Airport', -21.2412, -175.15, 'Nuku\'alofa', 'TO', 'OC', 'medium_airport'),
+  airport('NSFA', 'APW', 'Faleolo International Airport', -13.83, -172.008, 'Apia', 'WS', 'OC', 'medium_airport'),
+  airport('NLWW', 'WLS', 'Hihifo Airport', -13.2383, -176.199, 'Wallis Island', 'WF', 'OC', 'medium_airport'),
+  airport('NGFU', 'FUN', 'Funafuti International Airport', -8.525, 179.196, 'Funafuti', 'TV', 'OC', 'medium_airport'),
+
+  // Tchoukotka et détroit de Béring
+  airport('UHMA', 'DYR', 'Ugolny Airport', 64.735, 177.741, 'Anadyr', 'RU', 'AS', 'medium_airport'),
+  airport('UHMD', 'PVS', 'Provideniya Bay Airport', 64.3781, -173.243, 'Provideniya', 'RU', 'AS', 'medium_airport'),
+  airport('UHML', null, 'Lavrentiya Airport', 65.58, -171.056, 'Lavrentiya', 'RU', 'AS', 'small_airport'),
+  airport('UHMP', 'PWE', 'Pevek Airport', 69.7833, 170.597, 'Pevek', 'RU', 'AS', 'medium_airport'),
+  airport('PAGM', 'GAM', 'Gambell Airport', 63.7668, -171.733, 'Gambell', 'US', 'NA', 'medium_airport'),
+  airport('PASA', 'SVA', 'Savoonga Airport', 63.6864, -170.493, 'Savoonga', 'US', 'NA', 'medium_airport'),
+  airport('PAOM', 'OME', 'Nome Airport', 64.5122, -165.445, 'Nome', 'US', 'NA', 'medium_airport'),
+  airport('PALH', 'LHD', 'Lake Hood Seaplane Base', 61.18, -149.972, 'Anchorage', 'US', 'NA', 'seaplane_base'),
+
+  // Svalbard et Arctique
+  airport('ENSB', 'LYR', 'Svalbard Airport, Longyear', 78.2461, 15.4656, 'Longyearbyen', 'NO', 'EU', 'medium_airport'),
+  airport('ENAS', null, 'Ny-Ålesund Airport, Hamnerabben', 78.9275, 11.8743, 'Ny-Ålesund', 'NO', 'EU', 'small_airport'),
+  airport('ENSA', null, 'Svea Airport', 77.8969, 16.725, 'Svea', 'NO', 'EU', 'small_airport'),
+  airport('CYLT', 'YLT', 'Alert Airport', 82.5178, -62.2806, 'Alert', 'CA', 'NA', 'small_airport'),
+  airport('CYEU', 'YEU', 'Eureka Airport', 79.9947, -85.8142, 'Eureka', 'CA', 'NA', 'small_airport'),
+  airport('BGTL', 'THU', 'Thule Air Base', 76.5312, -68.7032, 'Pituffik', 'GL', 'NA', 'medium_airport'),
+
+  // Antarctique
+  airport('NZSP', null, 'Amundsen-Scott South Pole Station', -90, 0, 'South Pole', 'AQ', 'AN', 'small_airport'),
+  airport('NZWD', null, 'Williams Field', -77.8674, 167.057, 'McMurdo Station', 'AQ', 'AN', 'medium_airport'),
+  airport('NZFX', null, 'Phoenix Airfield', -77.956, 166.767, 'McMurdo Station', 'AQ', 'AN', 'medium_airport'),
+  airport('SCRM', 'TNM', 'Teniente R. Marsh Airport', -62.1908, -58.9867, 'King George Island', 'AQ', 'AN', 'medium_airport'),
+
+  // Paris, Lyon, Londres et New York (tous les types, routes)
+  airport('LFPG', 'CDG', 'Charles de Gaulle International Airport', 49.0097, 2.5479, 'Paris', 'FR', 'EU', 'large_airport'),
+  airport('LFPO', 'ORY', 'Paris-Orly Airport', 48.7233, 2.3794, 'Paris', 'FR', 'EU', 'large_airport'),
+  airport('LFPB', 'LBG', 'Paris-Le Bourget Airport', 48.9694, 2.4414, 'Paris', 'FR', 'EU', 'medium_airport'),
+  airport('LFPN', 'TNF', 'Toussus-le-Noble Airport', 48.7519, 2.1061, 'Toussus-le-Noble', 'FR', 'EU', 'medium_airport'),
+  airport('LFPT', 'POX', 'Pontoise - Cormeilles-en-Vexin Airport', 49.0966, 2.0408, 'Cormeilles-en-Vexin', 'FR', 'EU', 'medium_airport'),
+  airport('LFPI', 'JDP', 'Paris Issy-les-Moulineaux Heliport', 48.8333, 2.2728, 'Paris', 'FR', 'EU', 'heliport'),
+  airport('LFLL', 'LYS', 'Lyon Saint-Exupéry Airport', 45.7256, 5.0811, 'Lyon', 'FR', 'EU', 'large_airport'),
+  airport('EGLL', 'LHR', 'London Heathrow Airport', 51.4706, -0.4619, 'London', 'GB', 'EU', 'large_airport'),
+  airport('KJFK', 'JFK', 'John F Kennedy International Airport', 40.6398, -73.7789, 'New York', 'US', 'NA', 'large_airport'),
+
+  // Berlin : aéroports fermés à côté d'un aéroport ouvert
+  airport('EDDB', 'BER', 'Berlin Brandenburg Airport', 52.3514, 13.4939, 'Berlin', 'DE', 'EU', 'large_airport'),
+  airport('EDDT', null, 'Berlin-Tegel Airport', 52.5597, 13.2877, 'Berlin', 'DE', 'EU', 'closed'),
+  airport('EDDI', null, 'Berlin Tempelhof Airport', 52.4731, 13.4039, 'Berlin', 'DE', 'EU', 'closed')
+];
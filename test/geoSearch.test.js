@@ -0,0 +1,120 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+/**
+ * Recherche géographique près de l'antiméridien et des pôles (boîte lat/lon, sans backend spatial)
+ */
+
+process.env.SPATIAL_BACKEND = 'none';
+process.env.CACHE_STORE = 'none';
+const database = useTestDatabase('geo_search');
+const airportService = require('../services/airportService');
+
+const ALL_TYPES = { include: null, exclude: [] };
+const icaos = (airports) => airports.map(airport => airport.icao);
+
+before(database.setup);
+after(database.teardown);
+
+describe('antiméridien', () => {
+  test('un point des Fidji trouve les aéroports à 179,9° W', async () => {
+    const airports = await airportService.findNearestAirports(-16.75, 179.9, 3, 300);
+
+    assert.deepEqual(icaos(airports), ['NFNM', 'NFNV', 'NFNA']);
+    assert.ok(airports[0].distance < 50);
+  });
+
+  test('les aéroports des deux côtés sont triés ensemble par distance', async () => {
+    const airports = await airportService.findNearestAirports(-17.5, -179.5, 10, 400);
+
+    assert.ok(icaos(airports).includes('NFNA'));
+    assert.ok(icaos(airports).includes('NFNV'));
+    const distances = airports.map(airport => airport.distance);
+    assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+    assert.ok(distances.every(distance => distance <= 400));
+  });
+
+  test('la Tchoukotka voit l\'Alaska et Anadyr depuis 180°', async () => {
+    const airports = await airportService.findNearestAirports(65, 180, 10, 600);
+
+    assert.ok(icaos(airports).includes('UHMA'));
+    assert.ok(icaos(airports).includes('UHMD'));
+    assert.ok(icaos(airports).includes('PAGM'));
+  });
+
+  test('le mode batch découpe aussi la boîte', async () => {
+    const [fiji, chukotka] = await airportService.findNearestAirportBatch([
+      { lat: -16.75, lon: 179.9, maxDistance: 300 },
+      { lat: 64.5, lon: -179.9, maxDistance: 400 }
+    ]);
+
+    assert.equal(fiji.icao, 'NFNM');
+    assert.equal(chukotka.icao, 'UHMA');
+  });
+
+  test('une route qui traverse l\'antiméridien garde les aéroports de part et d\'autre', async () => {
+    const airports = await airportService.findAirportsAlongRoute(
+      { lat: -17.7554, lon: 177.443 }, { lat: -13.83, lon: -172.008 }, 100
+    );
+
+    assert.equal(airports[0].icao, 'NFFN');
+    assert.equal(airports[airports.length - 1].icao, 'NSFA');
+    assert.ok(icaos(airports).includes('NFNM'));
+  });
+});
+
+describe('pôles', () => {
+  test('la boîte du Svalbard reste bornée et trouve les aéroports de l\'archipel', async () => {
+    const airports = await airportService.findNearestAirports(78.5, 15, 10, 300);
+
+    assert.deepEqual(icaos(airports).sort(), ['ENAS', 'ENSA', 'ENSB']);
+  });
+
+  test('une recherche près du pôle Nord couvre toutes les longitudes', async () => {
+    const airports = await airportService.findNearestAirports(89.95, 100, 5, 1000);
+
+    assert.deepEqual(icaos(airports), ['CYLT']);
+    assert.ok(Number.isFinite(airports[0].distance));
+  });
+
+  test('McMurdo trouve ses pistes puis la station du pôle Sud', async () => {
+    const nearby = await airportService.findNearestAirports(-77.85, 166.67, 5, 50);
+    assert.deepEqual(icaos(nearby), ['NZWD', 'NZFX']);
+
+    const farther = await airportService.findNearestAirports(-77.85, 166.67, 5, 1500);
+    assert.deepEqual(icaos(farther), ['NZWD', 'NZFX', 'NZSP']);
+  });
+
+  test('au pôle Sud, la longitude est indifférente', async () => {
+    for (const lon of [0, 120, -180]) {
+      const [airport] = await airportService.findNearestAirports(-90, lon, 1, 10);
+      assert.equal(airport.icao, 'NZSP');
+      assert.ok(airport.distance < 1e-6);
+    }
+  });
+
+  test('le mode batch borne aussi la boîte aux pôles', async () => {
+    const results = await airportService.findNearestAirportBatch([
+      { lat: 89.95, lon: 100, maxDistance: 1000 },
+      { lat: -89.99, lon: 45, maxDistance: 10 },
+      { lat: -77.85, lon: 166.67, typeFilter: ALL_TYPES }
+    ]);
+
+    assert.deepEqual(icaos(results), ['CYLT', 'NZSP', 'NZWD']);
+  });
+});
+
+describe('distance maximale', () => {
+  test('aucun résultat au-delà de maxDistance', async () => {
+    const airports = await airportService.findNearestAirports(0, -140, 5, 500);
+
+    assert.deepEqual(airports, []);
+  });
+
+  test('sans maxDistance, la recherche couvre toute la Terre', async () => {
+    const [airport] = await airportService.findNearestAirports(0, -140, 1);
+
+    assert.equal(airport.icao, 'NSFA');
+  });
+});
@@ -0,0 +1,80 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { Client } = require('pg');
+require('dotenv').config();
+
+const airports = require('../fixtures/airports');
+
+/**
+ * Base PostgreSQL des tests : schéma des migrations et aéroports de test/fixtures
+ * Chaque fichier de test a sa propre base (TEST_DB_NAME_<nom>), supprimée puis recréée à chaque
+ * exécution : les fichiers s'exécutent en parallèle sans toucher à la base de l'application.
+ * La connexion (DB_HOST, DB_PORT, DB_USER, DB_PASSWORD) est celle du fichier .env.
+ */
+
+const TEST_DB_NAME = process.env.TEST_DB_NAME || 'airports_test';
+
+const FIXTURE_COLUMNS = [
+  'icao', 'ident', 'iata_code', 'name', 'latitude', 'longitude', 'city', 'country', 'continent', 'type', 'scheduled_service'
+];
+
+// Connexion à la base d'administration, pour créer la base de test
+const adminClient = () => new Client({
+  host: process.env.DB_HOST || 'localhost',
+  port: process.env.DB_PORT || 5432,
+  database: process.env.TEST_DB_ADMIN_NAME || 'postgres',
+  user: process.env.DB_USER || 'postgres',
+  password: process.env.DB_PASSWORD
+});
+
+/**
+ * Utilise une base de test dédiée pour ce fichier
+ * À appeler avant de charger config/database, qui lit DB_NAME à son chargement.
+ * @param {string} name - Suffixe du nom de la base (lettres minuscules, chiffres, _)
+ * @returns {{setup: Function, teardown: Function}} À passer à before() et after()
+ */
+function useTestDatabase(name) {
+  const database = `${TEST_DB_NAME}_${name}`;
+  if (!/^[a-z0-9_]+$/.test(database)) {
+    throw new Error(`Nom de base de test invalide: ${database}`);
+  }
+  process.env.DB_NAME = database;
+
+  return {
+    async setup() {
+      const admin = adminClient();
+      await admin.connect();
+      try {
+        await admin.query(`DROP DATABASE IF EXISTS ${database}`);
+        await admin.query(`CREATE DATABASE ${database}`);
+      } finally {
+        await admin.end();
+      }
+
+      try {
+        execFileSync(process.execPath, [path.join(__dirname, '../../scripts/migrate.js'), 'up'], {
+          env: { ...process.env, DB_NAME: database },
+          stdio: 'pipe'
+        });
+      } catch (error) {
+        throw new Error(`Migration de la base de test impossible:\n${error.stdout}${error.stderr}`);
+      }
+
+      const { query } = require('../../config/database');
+      const params = [];
+      const rows = airports.map(airport => `(${FIXTURE_COLUMNS.map(column => {
+        params.push(airport[column] ?? null);
+        return `$${params.length}`;
+      }).join(', ')})`);
+      await query(`INSERT INTO airports (${FIXTURE_COLUMNS.join(', ')}) VALUES ${rows.join(', ')}`, params);
+    },
+
+    async teardown() {
+      await require('../../config/database').closePool();
+    }
+  };
+}
+
+module.exports = {
+  useTestDatabase
+};
@@ -0,0 +1,33 @@
+/**
+ * Lecture des arguments des scripts en ligne de commande
+ */
+
+/**
+ * Lit les arguments de la ligne de commande (--option valeur, --option=valeur, --drapeau et positionnels)
+ * @param {Array<string>} argv - Arguments (sans node ni le script)
+ * @returns {{options: Object, positional: Array<string>}}
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  return { options, positional };
+}
+
+module.exports = {
+  parseArgs
+};
@@ -0,0 +1,117 @@
+/**
+ * Sérialisation des listes d'aéroports en GeoJSON, CSV et GPX
+ * Les aéroports sont ceux des réponses JSON de l'API (position dans location ou lat/lon).
+ */
+
+// Formats disponibles et type MIME associé
+const FORMATS = {
+  json: 'application/json',
+  geojson: 'application/geo+json',
+  csv: 'text/csv',
+  gpx: 'application/gpx+xml'
+};
+
+// Sépare la position des autres propriétés d'un aéroport
+const splitAirport = (airport) => {
+  const { location, lat, lon, ...properties } = airport;
+  return {
+    lat: location ? location.lat : lat,
+    lon: location ? location.lon : lon,
+    properties
+  };
+};
+
+/**
+ * FeatureCollection GeoJSON (RFC 7946), un Point par aéroport
+ * @param {Array<Object>} airports
+ * @returns {string} Document GeoJSON
+ */
+function toGeoJSON(airports) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: airports.map(airport => {
+      const { lat, lon, properties } = splitAirport(airport);
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties
+      };
+    })
+  });
+}
+
+// Échappe une valeur CSV (RFC 4180), les objets sont sérialisés en JSON
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV avec une ligne d'en-tête, colonnes lat et lon en fin de ligne
+ * @param {Array<Object>} airports
+ * @returns {string} Document CSV
+ */
+function toCSV(airports) {
+  const rows = airports.map(splitAirport);
+  const columns = [];
+  rows.forEach(({ properties }) => {
+    Object.keys(properties).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [[...columns, 'lat', 'lon'].join(',')];
+  rows.forEach(({ lat, lon, properties }) => {
+    lines.push([...columns.map(c => escapeCSV(properties[c])), lat, lon].join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Échappe une valeur XML
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Waypoints GPX 1.1, nommés par code ICAO
+ * @param {Array<Object>} airports
+ * @returns {string} Document GPX
+ */
+function toGPX(airports) {
+  const waypoints = airports.map(airport => {
+    const { lat, lon, properties } = splitAirport(airport);
+    const children = [
+      properties.elevation !== undefined && properties.elevation !== null ? `<ele>${properties.elevation}</ele>` : '',
+      `<name>${escapeXML(properties.icao)}</name>`,
+      properties.name ? `<desc>${escapeXML(properties.name)}</desc>` : '',
+      properties.type ? `<type>${escapeXML(properties.type)}</type>` : ''
+    ].filter(Boolean).join('');
+    return `  <wpt lat="${lat}" lon="${lon}">${children}</wpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="airports_api" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+const SERIALIZERS = {
+  geojson: toGeoJSON,
+  csv: toCSV,
+  gpx: toGPX
+};
+
+module.exports = {
+  FORMATS,
+  SERIALIZERS,
+  escapeCSV,
+  toGeoJSON,
+  toCSV,
+  toGPX
+};
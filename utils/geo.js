@@ -0,0 +1,167 @@
+/**
+ * Fonctions de géodésie sur la sphère terrestre
+ * Coordonnées en degrés décimaux, distances en km
+ */
+
+// Rayon moyen de la Terre en km
+const EARTH_RADIUS_KM = 6371;
+
+// Facteurs de conversion depuis le km
+const KM_PER_NAUTICAL_MILE = 1.852;
+const KM_PER_STATUTE_MILE = 1.609344;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+// Ramène une longitude dans l'intervalle [-180, 180]
+const normalizeLongitude = (lon) => ((lon + 540) % 360) - 180;
+
+/**
+ * Distance orthodromique entre deux points (formule de Haversine)
+ * @param {number} lat1 - Latitude du point de départ
+ * @param {number} lon1 - Longitude du point de départ
+ * @param {number} lat2 - Latitude du point d'arrivée
+ * @param {number} lon2 - Longitude du point d'arrivée
+ * @returns {number} Distance en km
+ */
+function distance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Cap vrai initial pour aller d'un point à un autre
+ * @returns {number} Cap en degrés (0 à 360)
+ */
+function initialBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Cap vrai final à l'arrivée (cap initial du trajet retour, inversé)
+ * @returns {number} Cap en degrés (0 à 360)
+ */
+function finalBearing(lat1, lon1, lat2, lon2) {
+  return (initialBearing(lat2, lon2, lat1, lon1) + 180) % 360;
+}
+
+/**
+ * Point milieu de l'orthodromie entre deux points
+ * @returns {{lat: number, lon: number}} Point milieu
+ */
+function midpoint(lat1, lon1, lat2, lon2) {
+  return intermediatePoint(lat1, lon1, lat2, lon2, 0.5);
+}
+
+/**
+ * Expression SQL de la distance Haversine, identique à distance()
+ * @param {string} latRef - Expression SQL de la latitude de référence (ex: $1)
+ * @param {string} lonRef - Expression SQL de la longitude de référence (ex: $2)
+ * @param {string} latColumn - Colonne latitude de la table
+ * @param {string} lonColumn - Colonne longitude de la table
+ * @returns {string} Expression SQL retournant une distance en km
+ */
+function distanceSQL(latRef, lonRef, latColumn = 'latitude', lonColumn = 'longitude') {
+  return `(2 * ${EARTH_RADIUS_KM} * asin(LEAST(1, sqrt(
+      power(sin(radians(${latColumn} - ${latRef}) / 2), 2) +
+      cos(radians(${latRef})) * cos(radians(${latColumn})) * power(sin(radians(${lonColumn} - ${lonRef}) / 2), 2)))))`;
+}
+
+/**
+ * Point situé à une fraction donnée de l'orthodromie entre deux points
+ * @param {number} fraction - 0 pour le départ, 1 pour l'arrivée
+ * @returns {{lat: number, lon: number}} Point intermédiaire
+ */
+function intermediatePoint(lat1, lon1, lat2, lon2, fraction) {
+  const phi1 = toRadians(lat1);
+  const lambda1 = toRadians(lon1);
+  const phi2 = toRadians(lat2);
+  const lambda2 = toRadians(lon2);
+  const delta = distance(lat1, lon1, lat2, lon2) / EARTH_RADIUS_KM;
+
+  if (delta === 0) {
+    return { lat: lat1, lon: lon1 };
+  }
+
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+  const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+  const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+  const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+
+  return {
+    lat: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    lon: normalizeLongitude(toDegrees(Math.atan2(y, x)))
+  };
+}
+
+/**
+ * Distance transversale (cross-track) d'un point par rapport au grand cercle départ → arrivée
+ * Positive à droite de la route, négative à gauche
+ * @returns {number} Distance en km
+ */
+function crossTrackDistance(lat, lon, startLat, startLon, endLat, endLon) {
+  const delta13 = distance(startLat, startLon, lat, lon) / EARTH_RADIUS_KM;
+  const theta13 = toRadians(initialBearing(startLat, startLon, lat, lon));
+  const theta12 = toRadians(initialBearing(startLat, startLon, endLat, endLon));
+  return Math.asin(Math.sin(delta13) * Math.sin(theta13 - theta12)) * EARTH_RADIUS_KM;
+}
+
+/**
+ * Distance le long de la route (along-track) entre le départ et la projection du point
+ * Négative si la projection est en amont du départ
+ * @returns {number} Distance en km
+ */
+function alongTrackDistance(lat, lon, startLat, startLon, endLat, endLon) {
+  const delta13 = distance(startLat, startLon, lat, lon) / EARTH_RADIUS_KM;
+  const deltaXt = crossTrackDistance(lat, lon, startLat, startLon, endLat, endLon) / EARTH_RADIUS_KM;
+  const theta13 = toRadians(initialBearing(startLat, startLon, lat, lon));
+  const theta12 = toRadians(initialBearing(startLat, startLon, endLat, endLon));
+  const sign = Math.cos(theta12 - theta13) < 0 ? -1 : 1;
+  const ratio = Math.min(1, Math.max(-1, Math.cos(delta13) / Math.cos(deltaXt)));
+  return sign * Math.acos(ratio) * EARTH_RADIUS_KM;
+}
+
+/**
+ * Emprise d'une tuile de carte Web Mercator (schéma XYZ, y = 0 au nord)
+ * @param {number} z - Niveau de zoom
+ * @param {number} x - Colonne de la tuile (0 à 2^z - 1)
+ * @param {number} y - Ligne de la tuile (0 à 2^z - 1)
+ * @returns {{west: number, south: number, east: number, north: number}} Emprise en degrés
+ */
+function tileBounds(z, x, y) {
+  const n = 2 ** z;
+  const latitude = (row) => toDegrees(Math.atan(Math.sinh(Math.PI * (1 - 2 * row / n))));
+  return {
+    west: x / n * 360 - 180,
+    south: latitude(y + 1),
+    east: (x + 1) / n * 360 - 180,
+    north: latitude(y)
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  KM_PER_NAUTICAL_MILE,
+  KM_PER_STATUTE_MILE,
+  toRadians,
+  toDegrees,
+  normalizeLongitude,
+  distance,
+  distanceSQL,
+  initialBearing,
+  finalBearing,
+  midpoint,
+  intermediatePoint,
+  crossTrackDistance,
+  alongTrackDistance,
+  tileBounds
+};
@@ -0,0 +1,112 @@
+/**
+ * Unités des distances et altitudes des réponses (?units=, ?distanceUnit=, ?elevationUnit=)
+ * Les valeurs internes sont en km (distances) et en pieds (altitudes, unité du fichier source).
+ */
+const { KM_PER_NAUTICAL_MILE, KM_PER_STATUTE_MILE } = require('./geo');
+
+const METERS_PER_FOOT = 0.3048;
+
+// Km par unité de distance
+const DISTANCE_UNITS = {
+  km: 1,
+  nm: KM_PER_NAUTICAL_MILE,
+  mi: KM_PER_STATUTE_MILE
+};
+
+// Valeur d'un pied dans chaque unité d'altitude
+const ELEVATION_UNITS = {
+  m: METERS_PER_FOOT,
+  ft: 1
+};
+
+// Systèmes d'unités prédéfinis
+const UNIT_SYSTEMS = {
+  metric: { distance: 'km', elevation: 'm' },
+  aviation: { distance: 'nm', elevation: 'ft' },
+  imperial: { distance: 'mi', elevation: 'ft' }
+};
+
+const DEFAULT_UNIT_SYSTEM = 'metric';
+
+// Champs convertis dans les aéroports des réponses
+const DISTANCE_FIELDS = ['distance', 'crossTrack', 'alongTrack'];
+const ELEVATION_FIELDS = ['elevation'];
+
+/**
+ * Détermine les unités demandées : distanceUnit et elevationUnit priment sur le système units
+ * Seules les clés propres des tables d'unités sont acceptées (pas constructor, toString...).
+ * @param {{units?: string, distanceUnit?: string, elevationUnit?: string}} params - Paramètres de requête
+ * @returns {{error: string}|{units: {distance: string, elevation: string}}}
+ */
+function parseUnits({ units, distanceUnit, elevationUnit }) {
+  if (units !== undefined && !Object.hasOwn(UNIT_SYSTEMS, units)) {
+    return { error: `Le paramètre units doit valoir: ${Object.keys(UNIT_SYSTEMS).join(', ')}` };
+  }
+  if (distanceUnit !== undefined && !Object.hasOwn(DISTANCE_UNITS, distanceUnit)) {
+    return { error: `Le paramètre distanceUnit doit valoir: ${Object.keys(DISTANCE_UNITS).join(', ')}` };
+  }
+  if (elevationUnit !== undefined && !Object.hasOwn(ELEVATION_UNITS, elevationUnit)) {
+    return { error: `Le paramètre elevationUnit doit valoir: ${Object.keys(ELEVATION_UNITS).join(', ')}` };
+  }
+
+  const system = UNIT_SYSTEMS[units || DEFAULT_UNIT_SYSTEM];
+  return {
+    units: {
+      distance: distanceUnit || system.distance,
+      elevation: elevationUnit || system.elevation
+    }
+  };
+}
+
+/**
+ * Convertit une distance en km vers l'unité demandée, arrondie au dixième
+ * @returns {number}
+ */
+function fromKm(km, unit) {
+  return Math.round(km / DISTANCE_UNITS[unit] * 10) / 10;
+}
+
+/**
+ * Convertit une distance exprimée dans l'unité demandée en km
+ * @returns {number}
+ */
+function toKm(value, unit) {
+  return value * DISTANCE_UNITS[unit];
+}
+
+/**
+ * Convertit une altitude en pieds vers l'unité demandée, arrondie à l'unité
+ * @returns {number|null}
+ */
+function fromFeet(feet, unit) {
+  return feet === null || feet === undefined ? feet : Math.round(feet * ELEVATION_UNITS[unit]);
+}
+
+/**
+ * Exprime les distances et altitudes d'un aéroport dans les unités demandées
+ * @param {Object} airport - Aéroport de réponse (distances en km, altitude en pieds)
+ * @param {{distance: string, elevation: string}} units
+ * @returns {Object} Copie de l'aéroport convertie
+ */
+function convertAirport(airport, units) {
+  const converted = { ...airport };
+  DISTANCE_FIELDS.forEach(field => {
+    if (typeof converted[field] === 'number') converted[field] = fromKm(converted[field], units.distance);
+  });
+  ELEVATION_FIELDS.forEach(field => {
+    if (field in converted) converted[field] = fromFeet(converted[field], units.elevation);
+  });
+  return converted;
+}
+
+module.exports = {
+  METERS_PER_FOOT,
+  DISTANCE_UNITS,
+  ELEVATION_UNITS,
+  UNIT_SYSTEMS,
+  parseUnits,
+  fromKm,
+  toKm,
+  fromFeet,
+  convertAirport
+};
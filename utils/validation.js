@@ -0,0 +1,76 @@
+/**
+ * Règles de validation des aéroports importés
+ * Chaque règle retourne { rule, message } pour une ligne rejetée, les codes de règle servent au rapport.
+ */
+
+// Types d'aéroports OurAirports
+const AIRPORT_TYPES = ['large_airport', 'medium_airport', 'small_airport', 'heliport', 'seaplane_base', 'balloonport', 'closed'];
+
+// Taille maximale des colonnes texte de la table airports (VARCHAR)
+const COLUMN_LENGTHS = {
+  icao: 10,
+  ident: 10,
+  icaoCode: 10,
+  iataCode: 10,
+  gpsCode: 10,
+  localCode: 10,
+  name: 255,
+  city: 100,
+  country: 100,
+  region: 10,
+  continent: 2
+};
+
+// Code de l'aéroport en base (icao_code, ident ou gps_code) : lettres, chiffres et tirets
+const AIRPORT_CODE_PATTERN = /^[A-Z0-9-]+$/i;
+const ICAO_CODE_PATTERN = /^[A-Z0-9]{4}$/;
+const IATA_CODE_PATTERN = /^[A-Z0-9]{3}$/;
+
+/**
+ * Vérifie un aéroport lu depuis le CSV (hors doublons, détectés par l'import)
+ * @param {Object} airport - Aéroport tel que construit par l'import (type null si absent du CSV)
+ * @returns {Array<{rule: string, message: string}>} Erreurs, vide si l'aéroport est valide
+ */
+function validateAirport(airport) {
+  const errors = [];
+  const fail = (rule, message) => errors.push({ rule, message });
+
+  if (!airport.icao) {
+    fail('icao', 'Code ICAO manquant (icao_code, ident et gps_code vides)');
+  } else if (!AIRPORT_CODE_PATTERN.test(airport.icao)) {
+    fail('icao', `Code ICAO invalide: ${airport.icao}`);
+  }
+  if (airport.icaoCode && !ICAO_CODE_PATTERN.test(airport.icaoCode)) {
+    fail('icao_code', `icao_code invalide (4 lettres ou chiffres attendus): ${airport.icaoCode}`);
+  }
+  if (airport.iataCode && !IATA_CODE_PATTERN.test(airport.iataCode)) {
+    fail('iata_code', `iata_code invalide (3 lettres ou chiffres attendus): ${airport.iataCode}`);
+  }
+
+  if (isNaN(airport.latitude) || airport.latitude < -90 || airport.latitude > 90) {
+    fail('latitude', `Latitude hors de [-90, 90]: ${airport.latitude}`);
+  }
+  if (isNaN(airport.longitude) || airport.longitude < -180 || airport.longitude > 180) {
+    fail('longitude', `Longitude hors de [-180, 180]: ${airport.longitude}`);
+  }
+
+  if (!airport.name) {
+    fail('name', 'Nom manquant');
+  }
+  if (airport.type !== null && !AIRPORT_TYPES.includes(airport.type)) {
+    fail('type', `Type inconnu: ${airport.type}`);
+  }
+
+  Object.entries(COLUMN_LENGTHS).forEach(([field, maxLength]) => {
+    if (airport[field] && airport[field].length > maxLength) {
+      fail('length', `${field} dépasse ${maxLength} caractères: ${airport[field]}`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  AIRPORT_TYPES,
+  validateAirport
+};